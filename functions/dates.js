@@ -0,0 +1,186 @@
+// === Dates in the client's timezone ===
+// Order dates are written to the sheets as wall-clock strings in the client's
+// timezone ("2024-05-31 23:30:00"), and Sheets may hand them back as serial
+// numbers. Everything here interprets them in an explicit IANA timezone
+// instead of the server's, so month boundaries do not depend on the host.
+const { logDebug } = require('./logger');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Cairo';
+
+function isValidTimezone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Falls back to DEFAULT_TIMEZONE (with a log line) for empty or unknown names
+function normalizeTimezone(tz) {
+  const name = (tz || '').toString().trim();
+  if (!name) return DEFAULT_TIMEZONE;
+  if (isValidTimezone(name)) return name;
+  logDebug('Unknown timezone, using default', { tz: name, DEFAULT_TIMEZONE });
+  return DEFAULT_TIMEZONE;
+}
+
+const partsFormatters = new Map();
+function wallClockParts(date, tz) {
+  if (!partsFormatters.has(tz)) {
+    partsFormatters.set(
+      tz,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: tz,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  const out = {};
+  partsFormatters
+    .get(tz)
+    .formatToParts(date)
+    .forEach((p) => {
+      if (p.type !== 'literal') out[p.type] = Number(p.value);
+    });
+  return {
+    year: out.year,
+    month: out.month,
+    day: out.day,
+    hour: out.hour,
+    minute: out.minute,
+    second: out.second,
+  };
+}
+
+/**
+ * Instant for a wall-clock time in tz. month is 1-based; values may overflow
+ * (day 32, month 13) the same way Date.UTC allows.
+ */
+function zonedTimeToDate(year, month, day, hour, minute, second, tz) {
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Two passes settle the offset also right after a DST switch
+  let guess = wallAsUtc;
+  for (let i = 0; i < 2; i++) {
+    const p = wallClockParts(new Date(guess), tz);
+    const shownAsUtc = Date.UTC(
+      p.year,
+      p.month - 1,
+      p.day,
+      p.hour,
+      p.minute,
+      p.second
+    );
+    guess += wallAsUtc - shownAsUtc;
+  }
+  return new Date(guess);
+}
+
+/**
+ * Parses a cell of column A (order date) in tz. Accepts Sheets serial numbers,
+ * "YYYY-MM-DD[ HH:MM[:SS]]", "YYYY/MM/DD ..." and "M/D/YYYY ..." (US display
+ * format); strings with an explicit offset or "Z" are taken as is.
+ * Returns null when the cell is empty or unreadable.
+ */
+function parseSheetDate(cell, tz = DEFAULT_TIMEZONE) {
+  if (cell === undefined || cell === null || cell === '') return null;
+
+  if (!isNaN(cell) && Number(cell) > 30000) {
+    // Serial days since 1899-12-30, in the spreadsheet's wall clock
+    const ms = Math.round(Number(cell) * 86400000);
+    const wall = new Date(Date.UTC(1899, 11, 30) + ms);
+    return zonedTimeToDate(
+      wall.getUTCFullYear(),
+      wall.getUTCMonth() + 1,
+      wall.getUTCDate(),
+      wall.getUTCHours(),
+      wall.getUTCMinutes(),
+      wall.getUTCSeconds(),
+      tz
+    );
+  }
+
+  const text = cell.toString().trim();
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text) && /\d{4}-\d{2}-\d{2}T/.test(text)) {
+    const d = new Date(text);
+    return isNaN(d) ? null : d;
+  }
+
+  // "2024-05-31 23:30:00" / "2024/05/31"
+  let m =
+    /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/.exec(
+      text
+    );
+  if (m) {
+    const [, y, mo, d, h, mi, sec] = m;
+    return zonedTimeToDate(+y, +mo, +d, +(h || 0), +(mi || 0), +(sec || 0), tz);
+  }
+  // "5/31/2024 23:30:00"
+  m =
+    /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ ,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/.exec(
+      text
+    );
+  if (m) {
+    const [, mo, d, y, h, mi, sec] = m;
+    return zonedTimeToDate(+y, +mo, +d, +(h || 0), +(mi || 0), +(sec || 0), tz);
+  }
+
+  const d = new Date(text);
+  return isNaN(d) ? null : d;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "YYYY-MM-DD HH:MM:SS" in tz – the format written to column A
+function formatDateTime(date = new Date(), tz = DEFAULT_TIMEZONE) {
+  const p = wallClockParts(date, tz);
+  const day = `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+  return `${day} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+// "YYYY-MM" of date in tz
+function yearMonthOf(date = new Date(), tz = DEFAULT_TIMEZONE) {
+  const p = wallClockParts(date, tz);
+  return `${p.year}-${pad(p.month)}`;
+}
+
+// { from, to } instants of a "YYYY-MM" month in tz (to exclusive), null if invalid
+function monthRange(yearMonth, tz = DEFAULT_TIMEZONE) {
+  const m = /^(\d{4})-(\d{2})$/.exec((yearMonth || '').toString().trim());
+  if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) return null;
+  const y = Number(m[1]);
+  const mo = Number(m[2]);
+  return {
+    from: zonedTimeToDate(y, mo, 1, 0, 0, 0, tz),
+    to: zonedTimeToDate(y, mo + 1, 1, 0, 0, 0, tz),
+  };
+}
+
+// Start of a "YYYY-MM-DD" day in tz (dayOffset shifts by whole days), null if invalid
+function dayStart(day, tz = DEFAULT_TIMEZONE, dayOffset = 0) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec((day || '').toString().trim());
+  if (!m) return null;
+  const y = Number(m[1]);
+  const mo = Number(m[2]);
+  const d = Number(m[3]);
+  const check = new Date(Date.UTC(y, mo - 1, d));
+  if (check.getUTCMonth() !== mo - 1 || check.getUTCDate() !== d) return null;
+  return zonedTimeToDate(y, mo, d + dayOffset, 0, 0, 0, tz);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  normalizeTimezone,
+  parseSheetDate,
+  formatDateTime,
+  yearMonthOf,
+  monthRange,
+  dayStart,
+};
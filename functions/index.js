@@ -1,12 +1,30 @@
 // === [1] Setup and Authentication ===
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
-const { google } = require('googleapis');
+const crypto = require('crypto');
 const path = require('path');
 const ExcelJS = require('exceljs'); // NEW: for Excel export
 require('dotenv').config();
 
+// === [1b] Logger and storage ===
+// All order / catalog / user data goes through the storage layer
+// (STORAGE_BACKEND=sheets by default, "file" for a local JSON file).
+const { logDebug } = require('./logger');
+const { getStorage, ORDER_STATUSES } = require('./storage');
+const { createUserDirectory } = require('./userDirectory');
+const { createKeyedMutex } = require('./lock');
+const { renderOrderEmail, sendMail } = require('./notifier');
+const { createWebhookDispatcher } = require('./webhooks');
+const {
+  DEFAULT_TIMEZONE,
+  normalizeTimezone,
+  parseSheetDate,
+  formatDateTime,
+  yearMonthOf,
+  monthRange,
+  dayStart,
+} = require('./dates');
+
 console.log(
   'Loaded GOOGLE_CREDENTIALS_SHEET_ID:',
   process.env.GOOGLE_CREDENTIALS_SHEET_ID
@@ -17,593 +35,2355 @@ app.use(express.json());
 app.use(cors());
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
-const SERVICE_ACCOUNT_JSON =
-  process.env.GOOGLE_SERVICE_ACCOUNT_JSON || 'service-account.json';
+/* ========================================================================== */
+/* === [1c] Sessions (signed, expiring, revocable)                         === */
+/* ========================================================================== */
+/**
+ * /api/validateLogin issues a session token "<payload>.<hmac>" where payload is
+ * base64url JSON { sid, u, exp }. The token is set as an HttpOnly cookie and
+ * also returned in the JSON body for API clients (Authorization: Bearer ...).
+ * Sessions are kept in memory so they can be revoked on logout.
+ */
+const SESSION_COOKIE = 'vndro_session';
+const SESSION_TTL_MS =
+  (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const SESSION_SECRET =
+  process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  logDebug('SESSION_SECRET not set, using a random secret (sessions reset on restart)');
+}
+
+const sessions = new Map(); // sid -> { sid, username, expiresAt }
+
+function signSessionPayload(payload) {
+  return crypto
+    .createHmac('sha256', SESSION_SECRET)
+    .update(payload)
+    .digest('base64url');
+}
+
+function pruneExpiredSessions(now = Date.now()) {
+  for (const [sid, s] of sessions) {
+    if (s.expiresAt <= now) sessions.delete(sid);
+  }
+}
+
+function createSession(username) {
+  pruneExpiredSessions();
+  const sid = crypto.randomBytes(18).toString('base64url');
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  const payload = Buffer.from(
+    JSON.stringify({ sid, u: username, exp: expiresAt })
+  ).toString('base64url');
+  const token = `${payload}.${signSessionPayload(payload)}`;
+  const session = { sid, username, expiresAt };
+  sessions.set(sid, session);
+  return { token, session };
+}
+
+function verifySessionToken(token) {
+  const [payload, sig] = (token || '').split('.');
+  if (!payload || !sig) return null;
+
+  const expected = Buffer.from(signSessionPayload(payload));
+  const given = Buffer.from(sig);
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+
+  const session = sessions.get(data.sid);
+  if (!session || session.username !== data.u) return null;
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(data.sid);
+    return null;
+  }
+  return session;
+}
+
+function revokeSession(sid) {
+  sessions.delete(sid);
+}
+
+// Ends every session of a user (disabled account, password reset)
+function revokeSessionsOf(username) {
+  for (const [sid, s] of sessions) {
+    if (s.username === username) sessions.delete(sid);
+  }
+}
+
+function parseCookies(header) {
+  const out = {};
+  (header || '').split(';').forEach((part) => {
+    const eq = part.indexOf('=');
+    if (eq === -1) return;
+    const name = part.slice(0, eq).trim();
+    const value = part.slice(eq + 1).trim();
+    if (!name) return;
+    try {
+      out[name] = decodeURIComponent(value);
+    } catch (e) {
+      out[name] = value;
+    }
+  });
+  return out;
+}
+
+function readSessionToken(req) {
+  const auth = (req.headers.authorization || '').toString();
+  if (auth.toLowerCase().startsWith('bearer ')) {
+    return auth.slice(7).trim();
+  }
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || '';
+}
+
+function setSessionCookie(res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.COOKIE_SECURE === 'true',
+    maxAge: SESSION_TTL_MS,
+    path: '/',
+  });
+}
 
-// === [1b] Logger ===
-function logDebug(msg, data = null) {
-  const entry =
-    `[${new Date().toISOString()}] ${msg}` +
-    (data !== null ? `: ${JSON.stringify(data)}` : '');
-  console.log(entry);
-  // fs.appendFileSync('server-debug.log', entry + '\n');
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
 }
 
-// === [2] Google Sheets Helper ===
-function getSheetsClient() {
-  const creds = JSON.parse(fs.readFileSync(SERVICE_ACCOUNT_JSON, 'utf8'));
-  const auth = new google.auth.GoogleAuth({
-    credentials: creds,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+/* ========================================================================== */
+/* === [1d] Password hashing (scrypt)                                      === */
+/* ========================================================================== */
+/**
+ * Stored format in credentials column B: "scrypt$<salt b64>$<hash b64>".
+ * Anything without that prefix is a legacy plain-text password; it is
+ * accepted once and replaced by a hash on the first successful login.
+ */
+const PASSWORD_HASH_PREFIX = 'scrypt$';
+const PASSWORD_MIN_LENGTH = 6;
+
+function scryptAsync(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
   });
-  return google.sheets({ version: 'v4', auth });
 }
 
-// Helpers
-function serialToDate(serial) {
-  return new Date(Date.UTC(1899, 11, 30) + serial * 86400000);
+function isPasswordHash(stored) {
+  return (stored || '').toString().startsWith(PASSWORD_HASH_PREFIX);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(password.toString(), salt);
+  return `${PASSWORD_HASH_PREFIX}${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+// Random password handed out by the admin console (the user must change it)
+function temporaryPassword() {
+  return crypto.randomBytes(9).toString('base64url');
 }
-function isSameMonth(date, now = new Date()) {
+
+async function verifyPassword(password, stored) {
+  const candidate = (password || '').toString();
+  const value = (stored || '').toString();
+  if (!value) return false;
+
+  if (!isPasswordHash(value)) {
+    const a = Buffer.from(candidate);
+    const b = Buffer.from(value);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  const [, saltB64, keyB64] = value.split('$');
+  if (!saltB64 || !keyB64) return false;
+  const expected = Buffer.from(keyB64, 'base64');
+  const key = await scryptAsync(candidate, Buffer.from(saltB64, 'base64'));
   return (
-    date &&
-    date.getFullYear() === now.getFullYear() &&
-    date.getMonth() === now.getMonth()
+    key.length === expected.length && crypto.timingSafeEqual(key, expected)
   );
 }
 
-// (kept for compatibility if needed later)
-function getYearMonthCairo(date = new Date()) {
-  const y = new Intl.DateTimeFormat('sv-SE', {
-    timeZone: 'Africa/Cairo',
-    year: 'numeric',
-  }).format(date);
-  const m = new Intl.DateTimeFormat('sv-SE', {
-    timeZone: 'Africa/Cairo',
-    month: '2-digit',
-  }).format(date);
-  return `${y}-${m}`;
+// === [2] Date helpers ===
+// Order dates are parsed / written in the client's timezone (Settings "Timezone",
+// see dates.js); req.timezone is set by requireSession.
+
+/**
+ * Period filter shared by the order readers.
+ * Query: ?month=YYYY-MM  or  ?from=YYYY-MM-DD&to=YYYY-MM-DD (to is inclusive,
+ * either side may be omitted). Without any of them: the current month.
+ * Returns { from, to, explicit, tz } with "to" exclusive, or null when invalid.
+ */
+function resolveDateRange(query = {}, tz = DEFAULT_TIMEZONE, now = new Date()) {
+  const month = (query.month || '').toString().trim();
+  const fromRaw = (query.from || '').toString().trim();
+  const toRaw = (query.to || '').toString().trim();
+
+  if (month) {
+    const range = monthRange(month, tz);
+    return range ? { ...range, explicit: true, tz } : null;
+  }
+
+  if (fromRaw || toRaw) {
+    const from = fromRaw ? dayStart(fromRaw, tz) : null;
+    const to = toRaw ? dayStart(toRaw, tz, 1) : null;
+    if (from === null && fromRaw) return null;
+    if (to === null && toRaw) return null;
+    if (from && to && from >= to) return null;
+    return { from, to, explicit: true, tz };
+  }
+
+  return { ...monthRange(yearMonthOf(now, tz), tz), explicit: false, tz };
+}
+
+function isInDateRange(date, range) {
+  if (!date || isNaN(date)) return false;
+  if (range.from && date < range.from) return false;
+  if (range.to && date >= range.to) return false;
+  return true;
+}
+
+// Waiting lines stay visible whatever their month until someone acts on them,
+// unless the caller explicitly asked for a period.
+function isLineInPeriod(line, status, range) {
+  if (status === 'waiting' && !range.explicit) return true;
+  return isInDateRange(parseSheetDate(line.date, range.tz), range);
 }
-function getYearMonthFromSvSe(ts) {
-  return (ts || '').toString().slice(0, 7);
+
+// Copy of an order line without its storage id (for moving between tabs)
+function detachLine(line) {
+  const { lineId, ...rest } = line;
+  return rest;
 }
 
-// Optional legacy helper – not used now but kept if needed
-function getBudgetSheetId(userType) {
-  if (userType === 'cash') return process.env.GOOGLE_CASH_BUDGET_SHEET_ID;
-  return process.env.GOOGLE_TASA_BUDGET_SHEET_ID;
+// Moves lines from one status tab to another (append first, then clear)
+async function moveOrderLines(spreadsheetId, fromStatus, toStatus, lines) {
+  const storage = getStorage();
+  await storage.orders.append(spreadsheetId, toStatus, lines.map(detachLine));
+  await storage.orders.remove(
+    spreadsheetId,
+    fromStatus,
+    lines.map((l) => l.lineId)
+  );
 }
 
 /* ========================================================================== */
-/* === [2b] Generic helper: ALWAYS append from A to K                      === */
+/* === [2c] Master-per-client helpers                                      === */
 /* ========================================================================== */
+
+// Username index shared by login and requireSession (see userDirectory.js).
+// USER_DIRECTORY_TTL_MINUTES (default 5); POST /api/refreshUserDirectory reloads on demand.
+const userDirectory = createUserDirectory({
+  loadUsers: () => getStorage().users.list(),
+  ttlMs: (parseFloat(process.env.USER_DIRECTORY_TTL_MINUTES) || 5) * 60 * 1000,
+});
+
 /**
- * Appends rows (each up to 11 columns) into sheetName,
- * ALWAYS starting in column A and ending at column K.
+ * Login helper:
+ * Master Credentials sheet (GOOGLE_CREDENTIALS_SHEET_ID) contains one tab per client.
+ * Columns (starting row 2): A=username, B=password hash, C=branch, D=restricted(Y/N),
+ * E=Level(L1, L2, L3, ..., WH, ADMIN), G=MustChangePassword(Y/N), H=Email,
+ * I=AllowedBranches, J=Disabled(Y/N), Z=PaperMode(Y/N).
+ * BudgetSheetId is in F2 on the same tab. Disabled users cannot log in.
+ * Plain-text passwords found in B are hashed in place on first successful login.
  */
-async function appendRowsAtoK(sheets, spreadsheetId, sheetName, values) {
-  if (!Array.isArray(values) || values.length === 0) return;
-
-  // Read column A only to find last non-empty row
-  const colAResp = await sheets.spreadsheets.values.get({
-    spreadsheetId,
-    range: `${sheetName}!A:A`,
+async function findClientTabAndSheetIdByUser(username, password) {
+  const storage = getStorage();
+  // A username added to the sheet since the last load triggers one reload
+  const candidates = await userDirectory.candidates(username, {
+    reloadOnMiss: true,
   });
-  const colArows = colAResp.data.values || [];
 
-  let lastRow = 0;
-  for (let i = colArows.length - 1; i >= 0; i--) {
-    const v = colArows[i] && colArows[i][0];
-    if (v !== undefined && v !== null && v.toString().trim() !== '') {
-      lastRow = i + 1; // 1-based row index
-      break;
+  for (const user of candidates) {
+    if (user.disabled) continue;
+    if (!(await verifyPassword(password, user.password))) continue;
+
+    if (!user.budgetSheetId)
+      throw new Error(`BudgetSheetId missing for client ${user.tab}`);
+
+    // One-time migration: replace the plain-text password with its hash
+    if (!isPasswordHash(user.password)) {
+      const patch = { password: await hashPassword(password) };
+      await storage.users.update(user, patch);
+      userDirectory.update(user, patch);
+      logDebug('Migrated plain-text password to hash', {
+        username,
+        tab: user.tab,
+        rowNumber: user.rowNumber,
+      });
     }
+
+    const { password: _stored, username: _u, ...info } = user;
+    return info;
   }
+  return null;
+}
 
-  const startRow = lastRow + 1;
-  const endRow = startRow + values.length - 1;
-  const range = `${sheetName}!A${startRow}:K${endRow}`;
+/**
+ * Generic helper: get user info (tab, rowNumber, branch, restricted, level, paperMode,
+ * mustChangePassword, budgetSheetId) by username only.
+ * Used after login in all endpoints that need to know L1/L2 and sheet id.
+ */
+async function getUserInfoByUsername(username) {
+  const user = await userDirectory.find(username);
+  if (!user) return null;
+  if (!user.budgetSheetId)
+    throw new Error(`BudgetSheetId missing for client ${user.tab}`);
+
+  const { password: _stored, username: _u, ...info } = user;
+  return info;
+}
 
-  await sheets.spreadsheets.values.update({
-    spreadsheetId,
-    range,
-    valueInputOption: 'USER_ENTERED',
-    resource: { values },
+/* ========================================================================== */
+/* === [2d] Per-client settings ("Settings" tab of the client sheet)     === */
+/* ========================================================================== */
+// Defaults for keys missing (or empty) in the client's Settings tab.
+const CLIENT_SETTING_DEFAULTS = {
+  SerialPrefix: 'AA',
+  Timezone: DEFAULT_TIMEZONE, // IANA name, e.g. Africa/Cairo, Asia/Riyadh
+  ApprovalRoutes: '0:L2', // see [2g]
+  BudgetMode: 'warn', // see [2h]
+  QuantityLimitMode: 'block', // see [2i]
+  PaperCategories: 'ورق', // see [2j], comma-separated catalog categories
+  EmailLanguage: 'ar', // see [2o], "ar" or "en"
+  ApprovalReminderHours: '', // see [2p], empty = no reminders
+  ApprovalEscalationHours: '', // see [2p], empty = no escalation
+  EscalationApprover: '', // see [2p], username; empty = next level up
+};
+
+// Settings are read on every authenticated request, so they are cached briefly.
+const CLIENT_SETTINGS_TTL_MS =
+  (parseFloat(process.env.CLIENT_SETTINGS_TTL_MINUTES) || 5) * 60 * 1000;
+const clientSettingsCache = new Map(); // spreadsheetId -> { settings, loadedAt }
+
+async function getClientSettings(spreadsheetId) {
+  const cached = clientSettingsCache.get(spreadsheetId);
+  if (cached && Date.now() - cached.loadedAt < CLIENT_SETTINGS_TTL_MS) {
+    return cached.settings;
+  }
+
+  const stored = await getStorage().settings.get(spreadsheetId);
+  const settings = { ...CLIENT_SETTING_DEFAULTS };
+  Object.keys(stored).forEach((key) => {
+    if (stored[key] !== '') settings[key] = stored[key];
   });
+  settings.Timezone = normalizeTimezone(settings.Timezone);
+
+  clientSettingsCache.set(spreadsheetId, { settings, loadedAt: Date.now() });
+  return settings;
+}
+
+/* ========================================================================== */
+/* === [2e] NEW Helper: Order Serial Number                               === */
+/* ========================================================================== */
+// Serial allocation is serialized per spreadsheet (in-process only).
+const serialLock = createKeyedMutex();
 
-  logDebug('appendRowsAtoK wrote rows', {
-    sheetName,
-    startRow,
-    endRow,
-    rows: values.length,
+/**
+ * Reads the last serial (Serial Numbers!B2 on Sheets), increments it, writes back,
+ * and returns new serial. Format: "<SerialPrefix><number>" (AA1, AA2, ...);
+ * the prefix comes from the client's Settings tab (default "AA").
+ * Runs under a per-spreadsheet lock and skips any serial already present in
+ * the order tabs, so two submissions never share a serial.
+ */
+async function getNextOrderSerial(spreadsheetId) {
+  return serialLock.runExclusive(spreadsheetId, async () => {
+    const storage = getStorage();
+    const { SerialPrefix } = await getClientSettings(spreadsheetId);
+    const prefix = SerialPrefix.toUpperCase();
+
+    let currentSerial = '';
+    try {
+      currentSerial = ((await storage.serials.get(spreadsheetId)) || '')
+        .toString()
+        .trim();
+    } catch (err) {
+      logDebug('Error reading last serial, assuming first serial', {
+        error: err.message,
+      });
+      currentSerial = '';
+    }
+
+    const upper = currentSerial.toUpperCase();
+    let currentNum = 0;
+    if (upper && upper.startsWith(prefix)) {
+      const numPartStr = upper.slice(prefix.length).trim();
+      const parsed = parseInt(numPartStr, 10);
+      if (!isNaN(parsed) && parsed >= 0) {
+        currentNum = parsed;
+      }
+    }
+
+    // Collision check: serials already used in any order tab
+    const used = new Set();
+    for (const status of ORDER_STATUSES) {
+      (await storage.orders.list(spreadsheetId, status)).forEach((line) => {
+        if (line.serial) used.add(line.serial.toUpperCase());
+      });
+    }
+
+    let newNum = currentNum + 1;
+    while (used.has(`${prefix}${newNum}`)) newNum++;
+    const newSerial = `${prefix}${newNum}`;
+
+    await storage.serials.set(spreadsheetId, newSerial);
+
+    logDebug('Generated new order serial', {
+      previous: currentSerial || null,
+      newSerial,
+      skipped: newNum - currentNum - 1,
+    });
+
+    return newSerial;
   });
 }
 
 /* ========================================================================== */
-/* === [2c] Master-per-client helpers                                      === */
+/* === [2f] Session middleware (req.user from the signed session)         === */
+/* ========================================================================== */
+/**
+ * Resolves the caller from the session token and attaches:
+ *   req.session = { sid, username, expiresAt }
+ *   req.user    = { username, tab, branch, restricted, level, paperMode, budgetSheetId,
+ *                   delegatedFrom: [{ username, level, until }] (see [2q]) }
+ *   req.clientSettings / req.timezone = the client's Settings tab (see [2d])
+ * Routes must use req.user instead of any username sent by the client.
+ */
+async function requireSession(req, res, next) {
+  try {
+    const session = verifySessionToken(readSessionToken(req));
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'انتهت الجلسة، برجاء تسجيل الدخول مرة أخرى',
+      });
+    }
+
+    const userInfo = await getUserInfoByUsername(session.username);
+    if (!userInfo) {
+      revokeSession(session.sid);
+      return res.status(401).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+      });
+    }
+
+    req.session = session;
+    req.user = { username: session.username, ...userInfo };
+    req.clientSettings = await getClientSettings(userInfo.budgetSheetId);
+    req.timezone = req.clientSettings.Timezone;
+    req.user.delegatedFrom = await getDelegatedFrom(req.user, req.timezone);
+
+    if (userInfo.mustChangePassword && req.path !== '/api/changePassword') {
+      return res.status(403).json({
+        success: false,
+        code: 'PASSWORD_CHANGE_REQUIRED',
+        message: 'يجب تغيير كلمة المرور قبل المتابعة',
+      });
+    }
+    next();
+  } catch (err) {
+    logDebug('Session check error', { error: err.message });
+    res
+      .status(500)
+      .json({ success: false, message: 'حدث خطأ في النظام' });
+  }
+}
+
+// "L3" -> 3; anything that is not L<n> -> 0
+function levelRank(level) {
+  const m = /^L(\d+)$/.exec((level || '').toString().trim().toUpperCase());
+  return m ? Number(m[1]) : 0;
+}
+
+// L2 and above are approvers (approval pages, exports, the branches of their
+// scope), and so is anyone holding an approver's rights by delegation ([2q])
+function isApprover(user) {
+  return levelRank(user.level) >= 2 || (user.delegatedFrom || []).length > 0;
+}
+
+// Level "ADMIN" manages the users of its client tab (see [3d]) and nothing else
+function isAdmin(user) {
+  return (user.level || '').toString().trim().toUpperCase() === 'ADMIN';
+}
+
+/**
+ * Branch scope: column I (AllowedBranches) of an approver or warehouse user
+ * lists the branches they may see and act on; empty = every branch of the
+ * client. Delegated rights carry the delegator's scope.
+ */
+function isInBranchList(allowedBranches, branchName) {
+  return (
+    !allowedBranches ||
+    allowedBranches.length === 0 ||
+    allowedBranches.includes((branchName || '').trim())
+  );
+}
+
+// Whether user sees branchName's orders as an approver / warehouse user
+function isBranchInScope(user, branchName) {
+  const holders = [...(user.delegatedFrom || [])];
+  if (levelRank(user.level) >= 2 || isWarehouseUser(user)) holders.push(user);
+  return holders.some((h) => isInBranchList(h.allowedBranches, branchName));
+}
+
+// Approvers may act for the branches of their scope (and their own branch);
+// everyone else only for their own branch – none without one – and admins for
+// none.
+function canActForBranch(user, branchName) {
+  if (isAdmin(user)) return false;
+  const userBranch = (user.branch || '').trim();
+  const branch = (branchName || '').trim();
+  if (isApprover(user) && isBranchInScope(user, branch)) return true;
+  return !!userBranch && userBranch === branch;
+}
+
 /* ========================================================================== */
+/* === [2g] Approval chains (Settings "ApprovalRoutes")                    === */
+/* ========================================================================== */
+/**
+ * ApprovalRoutes: "<min total>:<levels>" bands separated by ";", e.g.
+ *   "0:; 1000:L2; 5000:L2,L3"
+ * An order uses the band with the highest min <= its total (amounts below the
+ * lowest min use the lowest band). An empty level list goes straight to Final.
+ * Returns [{ min, chain: ['L2', 'L3'] }] sorted by min, or null when invalid.
+ */
+function parseApprovalRoutes(text) {
+  const bands = [];
+  const parts = (text || '')
+    .toString()
+    .split(';')
+    .map((p) => p.trim())
+    .filter((p) => p);
+  for (const part of parts) {
+    const m = /^(\d+(?:\.\d+)?)\s*:\s*(.*)$/.exec(part);
+    if (!m) return null;
+    const chain = m[2]
+      .split(',')
+      .map((l) => l.trim().toUpperCase())
+      .filter((l) => l);
+    if (chain.some((l) => levelRank(l) < 2)) return null;
+    chain.sort((a, b) => levelRank(a) - levelRank(b));
+    bands.push({ min: Number(m[1]), chain: Array.from(new Set(chain)) });
+  }
+  if (bands.length === 0) return null;
+  return bands.sort((a, b) => a.min - b.min);
+}
+
+// Approval levels required for an order of this total, e.g. ['L2', 'L3']
+function approvalChainFor(settings, total) {
+  let bands = parseApprovalRoutes(settings.ApprovalRoutes);
+  if (!bands) {
+    logDebug('Invalid ApprovalRoutes setting, using default', {
+      ApprovalRoutes: settings.ApprovalRoutes,
+    });
+    bands = parseApprovalRoutes(CLIENT_SETTING_DEFAULTS.ApprovalRoutes);
+  }
+  let band = bands[0];
+  bands.forEach((b) => {
+    if (total >= b.min) band = b;
+  });
+  return band.chain;
+}
+
+// Level a waiting line is waiting on (rows written before chains: L2)
+function awaitedStep(line) {
+  return line.approvalStep || 'L2';
+}
+
+// Step and chain of a waiting order whose total changed (see [4f]): the band
+// of the new total decides the levels still to come, steps below the awaited
+// one stay approved, and the awaited step itself is kept when the new band
+// needs nothing above the steps already passed.
+function rechainWaitingOrder(settings, line, total) {
+  const step = awaitedStep(line);
+  const chain = approvalChainFor(settings, total);
+  const done = chain.filter((s) => levelRank(s) < levelRank(step));
+  const pending = chain.filter((s) => levelRank(s) >= levelRank(step));
+  const newChain = [...done, ...(pending.length > 0 ? pending : [step])];
+  return {
+    approvalStep: newChain[done.length],
+    approvalChain: newChain.join(','),
+  };
+}
+
+// Approvers only see and act on waiting orders that wait on their own level,
+// or that were escalated to their level or to them by name (see [2p]) – or
+// the same for an approver whose rights they hold by delegation (see [2q])
+function isAwaitingUser(line, user) {
+  return actingFor(line, user) !== null;
+}
+
+// Username whose rights let user act on a waiting line (user's own, or the
+// delegating approver's, within that holder's branch scope), null when none do.
+// Nobody decides their own order, and delegated rights never reach the
+// delegate's own branch: the order's side is not a separate approver.
+function actingFor(line, user) {
+  if (line.username === user.username) return null;
+  const ownBranch = (user.branch || '').trim() === line.branch;
+  const step = awaitedStep(line);
+  const escalated = line.escalatedTo || '';
+  const holders = [user, ...(ownBranch ? [] : user.delegatedFrom || [])];
+  const holder = holders.find((h) => {
+    const level = (h.level || '').toUpperCase();
+    return (
+      isInBranchList(h.allowedBranches, line.branch) &&
+      (step === level ||
+        (!!escalated &&
+          (escalated === h.username || escalated.toUpperCase() === level)))
+    );
+  });
+  return holder ? holder.username : null;
+}
+
+// " on behalf of <approver>" when user acts on line with delegated rights
+function onBehalfOf(line, user) {
+  const holder = actingFor(line, user);
+  return holder && holder !== user.username ? ` on behalf of ${holder}` : '';
+}
 
 /**
- * Login helper:
- * Master Credentials sheet (GOOGLE_CREDENTIALS_SHEET_ID) contains one tab per client.
- * Columns (starting row 2): A=username, B=password, C=branch, D=restricted(Y/N),
- * E=Level(L1/L2), Z=PaperMode(Y/N). BudgetSheetId is in F2 on the same tab.
+ * Who may edit or withdraw a waiting order: the approver it waits on, and its
+ * own side – the submitter or anyone whose branch is the order's branch.
+ * Returns null when allowed, else the message to show.
+ */
+function waitingOrderAccessError(user, line) {
+  if (isApprover(user) && isAwaitingUser(line, user)) return null;
+  const userBranch = (user.branch || '').trim();
+  if (
+    line.username === user.username ||
+    (userBranch && userBranch === line.branch)
+  ) {
+    return null;
+  }
+  if (!isApprover(user) || !isBranchInScope(user, line.branch)) {
+    return 'غير مسموح لك بتعديل طلب فرع آخر';
+  }
+  return `هذا الطلب بانتظار موافقة المستوى ${awaitedStep(line)}`;
+}
+
+// One decision at a time per order (approve, reject, cancel, edit, SLA
+// escalation): callers re-read the waiting lines inside the lock, so a second
+// decision sees the first one's result instead of moving the lines again.
+const orderLock = createKeyedMutex();
+function withOrderLock(spreadsheetId, serial, fn) {
+  return orderLock.runExclusive(`${spreadsheetId}::${serial}`, fn);
+}
+
+/**
+ * Moves each order in lines (all awaiting the user, see isAwaitingUser) to its
+ * next step, or to Final Orders after the last one, then records the user's
+ * approval of the current step. Callers hold the order lock of every serial.
+ * decision is recorded in the approval log ('approved' / 'partially approved');
+ * an optional note is recorded as an 'approve' order note (see [2k]).
+ * Returns [{ serial, approvalStep }] (approvalStep null = now in Final Orders).
  */
-async function findClientTabAndSheetIdByUser(
-  sheets,
-  masterSheetId,
-  username,
-  password
+async function approveWaitingLines(
+  spreadsheetId,
+  lines,
+  user,
+  tz,
+  { decision = 'approved', note = '' } = {}
 ) {
-  const metaResp = await sheets.spreadsheets.get({
-    spreadsheetId: masterSheetId,
+  const storage = getStorage();
+  const bySerial = new Map();
+  lines.forEach((line) => {
+    if (!bySerial.has(line.serial)) bySerial.set(line.serial, []);
+    bySerial.get(line.serial).push(line);
   });
-  const allSheets = metaResp.data.sheets || [];
-  const sheetTitles = allSheets
-    .map((s) => s.properties?.title)
-    .filter(Boolean);
-
-  const exclude = new Set(['Config', 'Readme']);
-  const clientTabs = sheetTitles.filter((t) => !exclude.has(t));
-
-  for (const title of clientTabs) {
-    const credResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: masterSheetId,
-      range: `${title}!A2:Z`,
-    });
-    const rows = credResp.data.values || [];
-
-    for (const row of rows) {
-      const u = (row[0] || '').toString().trim();
-      const p = (row[1] || '').toString();
-      if (!u && !p) continue;
-      if (u === username && p === password) {
-        const branch = (row[2] || '').toString().trim();
-        const restricted =
-          (row[3] || '').toString().trim().toUpperCase() === 'Y';
-        const level =
-          (row[4] || '').toString().trim().toUpperCase() || 'L1';
-        const paperMode =
-          (row[25] || '').toString().trim().toUpperCase() === 'Y';
-
-        const idCellResp = await sheets.spreadsheets.values.get({
-          spreadsheetId: masterSheetId,
-          range: `${title}!F2`,
-        });
-        const budgetSheetId =
-          (idCellResp.data.values?.[0]?.[0] || '').toString().trim();
-        if (!budgetSheetId)
-          throw new Error(`BudgetSheetId missing in ${title}!F2`);
 
-        return {
-          tab: title,
-          branch,
-          restricted,
-          level,
-          paperMode,
-          budgetSheetId,
-        };
-      }
+  const now = formatDateTime(new Date(), tz);
+  const results = [];
+  for (const [serial, serialLines] of bySerial) {
+    const step = awaitedStep(serialLines[0]);
+    const chain = (serialLines[0].approvalChain || step).split(',');
+    const nextStep = chain[chain.indexOf(step) + 1] || null;
+    // "approved on behalf of Y" when approved with delegated rights
+    const logged = decision + onBehalfOf(serialLines[0], user);
+
+    const lineNote = note
+      ? await addOrderNote(spreadsheetId, serial, 'approve', user, note, tz)
+      : null;
+    const noteField = lineNote ? { note: lineNote } : {};
+
+    if (nextStep) {
+      await storage.orders.update(
+        spreadsheetId,
+        'waiting',
+        serialLines.map((l) => ({
+          lineId: l.lineId,
+          approvalStep: nextStep,
+          escalatedTo: '',
+          ...noteField,
+        }))
+      );
+    } else {
+      await moveOrderLines(
+        spreadsheetId,
+        'waiting',
+        'approved',
+        serialLines.map((l) => ({
+          ...l,
+          approvalStep: '',
+          escalatedTo: '',
+          ...noteField,
+        }))
+      );
     }
+    // Logged only once the lines have moved
+    await storage.approvals.append(spreadsheetId, [
+      { date: now, serial, step, username: user.username, decision: logged },
+    ]);
+    await recordAudit(spreadsheetId, user, tz, [
+      {
+        serial,
+        action: 'approve',
+        details: `${step} -> ${nextStep || 'Final Orders'} (${logged})`,
+      },
+    ]);
+    // order.approved only once the lines reach Final Orders
+    const event = nextStep ? 'step_approved' : 'approved';
+    notifyOrderEvent(spreadsheetId, user, event, {
+      serial,
+      status: nextStep ? 'waiting' : 'approved',
+      lines: serialLines.map((l) => ({
+        ...l,
+        approvalStep: nextStep || '',
+        escalatedTo: '',
+      })),
+      note,
+    });
+    results.push({ serial, approvalStep: nextStep });
   }
-  return null;
+  return results;
+}
+
+/* ========================================================================== */
+/* === [2k] Order notes (reasons for cancel / edit / approve)              === */
+/* ========================================================================== */
+// Every note is appended to the "Order Notes" log with the user and time, and
+// the latest one is also written to the note column (J) of the affected lines
+// as "<note> — <username> <date>" so it shows in the order tabs.
+
+/**
+ * action: 'approve' | 'reject' | 'edit' | 'cancel' | 'withdraw'.
+ * Returns the text to store in column J.
+ */
+async function addOrderNote(spreadsheetId, serial, action, user, note, tz) {
+  const date = formatDateTime(new Date(), tz);
+  const text = (note || '').toString().trim();
+  await getStorage().notes.append(spreadsheetId, [
+    { date, serial, action, username: user.username, note: text },
+  ]);
+  return `${text} — ${user.username} ${date}`;
+}
+
+// serial -> [{ date, action, username, note }] (only the serials asked for, if given)
+async function getOrderNotesBySerial(spreadsheetId, serials) {
+  const wanted = serials ? new Set(serials) : null;
+  const out = {};
+  (await getStorage().notes.list(spreadsheetId)).forEach((n) => {
+    if (wanted && !wanted.has(n.serial)) return;
+    if (!out[n.serial]) out[n.serial] = [];
+    out[n.serial].push({
+      date: n.date,
+      action: n.action,
+      username: n.username,
+      note: n.note,
+    });
+  });
+  return out;
+}
+
+// Optional note / reason from a request body ("note", or "reason" as an alias)
+function noteFromBody(body) {
+  return ((body && (body.note || body.reason)) || '').toString().trim();
+}
+
+/* ========================================================================== */
+/* === [2l] Audit log (who did what, when, on which serial)                === */
+/* ========================================================================== */
+// Append-only "Audit Log" tab: one row per state change, and one row per line
+// (with before / after quantities) for quantity edits.
+// action: submit | approve | reject | cancel | withdraw | edit | final-edit |
+//         processing | shipped | delivered | return | return-approved |
+//         return-rejected | reminder | escalate (by "system", see [2p])
+
+/**
+ * entries: [{ serial, action, productCode?, before?, after?, details? }];
+ * date and username are filled in here.
+ */
+async function recordAudit(spreadsheetId, user, tz, entries) {
+  const date = formatDateTime(new Date(), tz);
+  await getStorage().audit.append(
+    spreadsheetId,
+    entries.map((e) => ({
+      date,
+      serial: e.serial,
+      action: e.action,
+      username: user.username,
+      productCode: e.productCode || '',
+      before: e.before === undefined ? '' : e.before,
+      after: e.after === undefined ? '' : e.after,
+      details: e.details || '',
+    }))
+  );
+}
+
+/* ========================================================================== */
+/* === [2m] Fulfilment after approval (Processing -> Shipped -> Delivered)  === */
+/* ========================================================================== */
+// Final Orders stay in their tab; what happened to them afterwards is the
+// append-only "Fulfilment" tab (date, serial, stage, username), latest row per
+// serial wins. Warehouse users (level "WH") and approvers move an order to
+// processing / shipped; the branch confirms receipt, which makes it delivered.
+const FULFILMENT_STAGES = ['processing', 'shipped', 'delivered'];
+const WAREHOUSE_STAGES = ['processing', 'shipped'];
+
+function isWarehouseUser(user) {
+  return (user.level || '').toString().trim().toUpperCase() === 'WH';
+}
+
+// Approvers and warehouse users see the order list / details / exports
+function canViewOrders(user) {
+  return isApprover(user) || isWarehouseUser(user);
+}
+
+/**
+ * serial -> { stage, history: [{ stage, date, username }] }, oldest first.
+ * Serials that never left "Final Orders" are absent. serials (optional) limits the result.
+ */
+async function getFulfilmentBySerial(spreadsheetId, serials) {
+  const wanted = serials ? new Set(serials) : null;
+  const out = {};
+  (await getStorage().fulfilment.list(spreadsheetId)).forEach((f) => {
+    if (!FULFILMENT_STAGES.includes(f.stage)) return;
+    if (wanted && !wanted.has(f.serial)) return;
+    if (!out[f.serial]) out[f.serial] = { stage: '', history: [] };
+    out[f.serial].stage = f.stage;
+    out[f.serial].history.push({
+      stage: f.stage,
+      date: f.date,
+      username: f.username,
+    });
+  });
+  return out;
+}
+
+// Excel columns of one exported line: Status ("Shipped" etc. instead of
+// "Approved" once the warehouse started) and when each stage was reached
+function fulfilmentExportFields(statusKey, fulfilment) {
+  const fields = {
+    status: statusKey,
+    processingAt: '',
+    shippedAt: '',
+    deliveredAt: '',
+  };
+  if (statusKey !== 'Approved' || !fulfilment || !fulfilment.stage) {
+    return fields;
+  }
+  const stage = fulfilment.stage;
+  fields.status = stage.charAt(0).toUpperCase() + stage.slice(1);
+  fulfilment.history.forEach((h) => {
+    fields[`${h.stage}At`] = h.date;
+  });
+  return fields;
+}
+
+const fulfilmentLock = createKeyedMutex();
+
+/**
+ * Moves one approved order to `stage` (default: the stage after its current
+ * one). allowed lists the stages this caller may set; after, when given, is the
+ * stage the order must currently be in.
+ * Returns { ok: true, fulfilment } or { ok: false, status, message }.
+ */
+async function advanceFulfilment(
+  spreadsheetId,
+  serial,
+  user,
+  tz,
+  { stage, allowed, after }
+) {
+  return fulfilmentLock.runExclusive(`${spreadsheetId}::${serial}`, async () => {
+    const current =
+      (await getFulfilmentBySerial(spreadsheetId, [serial]))[serial] || null;
+    const currentStage = current ? current.stage : '';
+    const currentIndex = FULFILMENT_STAGES.indexOf(currentStage);
+    const target = stage || FULFILMENT_STAGES[currentIndex + 1] || '';
+
+    if (after !== undefined && currentStage !== after) {
+      return {
+        ok: false,
+        status: 409,
+        message: 'لا يمكن تحديث حالة الطلب في مرحلته الحالية',
+      };
+    }
+    if (!allowed.includes(target)) {
+      return {
+        ok: false,
+        status: 400,
+        message: 'لا يمكن نقل الطلب إلى هذه المرحلة',
+      };
+    }
+    if (FULFILMENT_STAGES.indexOf(target) <= currentIndex) {
+      return {
+        ok: false,
+        status: 409,
+        message: 'تم تحديث حالة هذا الطلب بالفعل',
+      };
+    }
+
+    const date = formatDateTime(new Date(), tz);
+    await getStorage().fulfilment.append(spreadsheetId, [
+      { date, serial, stage: target, username: user.username },
+    ]);
+    await recordAudit(spreadsheetId, user, tz, [
+      {
+        serial,
+        action: target,
+        details: `${currentStage || 'approved'} -> ${target}`,
+      },
+    ]);
+
+    const history = (current ? current.history : []).concat({
+      stage: target,
+      date,
+      username: user.username,
+    });
+    return { ok: true, fulfilment: { stage: target, history } };
+  });
+}
+
+/* ========================================================================== */
+/* === [2n] Returns ledger ("Returns" tab, approver sign-off)              === */
+/* ========================================================================== */
+// A return never rewrites "Final Orders": it is a "Returns" row (serial,
+// product, units, reason, requester) that counts once an approver signed it
+// off. Net quantity of a final line = approved quantity - its approved returns.
+// Returns of a serial + product are taken off that serial's lines of the
+// product in sheet order.
+
+const returnKey = (serial, productCode) => `${serial}::${productCode}`;
+
+// "serial::code" -> units, for returns with one of the given statuses
+async function getReturnedUnits(spreadsheetId, statuses = ['approved']) {
+  const out = {};
+  (await getStorage().returns.list(spreadsheetId)).forEach((r) => {
+    if (!statuses.includes(r.status)) return;
+    const key = returnKey(r.serial, r.productCode);
+    out[key] = (out[key] || 0) + r.quantity;
+  });
+  return out;
+}
+
+/**
+ * Final lines with approvedQty (as approved), returnedQty and the net
+ * quantity / subtotal. returned: result of getReturnedUnits.
+ */
+function netFinalLines(lines, returned) {
+  const left = { ...returned };
+  return lines.map((line) => {
+    const key = returnKey(line.serial, line.productCode);
+    const returnedQty = Math.min(line.quantity, left[key] || 0);
+    if (returnedQty) left[key] -= returnedQty;
+    const quantity = line.quantity - returnedQty;
+    return {
+      ...line,
+      approvedQty: line.quantity,
+      returnedQty,
+      quantity,
+      subtotal: line.unitPrice * quantity,
+    };
+  });
+}
+
+// Waiting lines + net Final lines: what budgets, caps and paper quotas count
+async function listCountedLines(spreadsheetId) {
+  const storage = getStorage();
+  const waiting = await storage.orders.list(spreadsheetId, 'waiting');
+  const approved = netFinalLines(
+    await storage.orders.list(spreadsheetId, 'approved'),
+    await getReturnedUnits(spreadsheetId)
+  );
+  return waiting.concat(approved);
+}
+
+// lineId -> units returned (approved returns) for the given Final lines
+async function getReturnedByLineId(spreadsheetId, finalLines) {
+  const out = {};
+  netFinalLines(finalLines, await getReturnedUnits(spreadsheetId)).forEach(
+    (l) => {
+      out[l.lineId] = l.returnedQty;
+    }
+  );
+  return out;
+}
+
+// Returned / net quantity columns of an exported line (empty unless approved)
+function returnFields(statusKey, line, returnedByLineId) {
+  if (statusKey !== 'Approved') return { returnedQty: '', netQty: '' };
+  const returnedQty = returnedByLineId[line.lineId] || 0;
+  return { returnedQty, netQty: line.quantity - returnedQty };
+}
+
+// serial -> [return entries] (every status), optionally limited to serials
+async function getReturnsBySerial(spreadsheetId, serials) {
+  const wanted = serials ? new Set(serials) : null;
+  const out = {};
+  (await getStorage().returns.list(spreadsheetId)).forEach((r) => {
+    if (wanted && !wanted.has(r.serial)) return;
+    if (!out[r.serial]) out[r.serial] = [];
+    out[r.serial].push(r);
+  });
+  return out;
+}
+
+/* ========================================================================== */
+/* === [2o] Order notifications (e-mails and webhooks)                     === */
+/* ========================================================================== */
+// E-mail recipients are the users of the client tab with an address in column
+// H: the order's branch, plus the approvers of the level a waiting order now
+// waits on. The user who made the change is left out. Templates follow the
+// client's EmailLanguage setting (see notifier.js for the SMTP settings).
+// Webhooks: every URL of the client's "Webhooks" tab gets the order as JSON
+// (see webhooks.js for signing and retries); failures end up in the
+// "Webhook Dead Letters" tab.
+
+// Order events -> webhook event types
+const WEBHOOK_EVENT_TYPES = {
+  submitted: 'order.submitted',
+  step_approved: 'order.step_approved', // one step approved, next one awaited
+  approved: 'order.approved', // last step approved, now in Final Orders
+  edited: 'order.edited',
+  rejected: 'order.cancelled', // lines left out of a partial approval
+  cancelled: 'order.cancelled',
+  withdrawn: 'order.cancelled',
+};
+
+const webhookDispatcher = createWebhookDispatcher({
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  baseDelayMs: (parseFloat(process.env.WEBHOOK_RETRY_SECONDS) || 2) * 1000,
+  timeoutMs: (parseFloat(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000,
+  onDeadLetter: async (endpoint, event, { attempts, error }) => {
+    const settings = await getClientSettings(endpoint.budgetSheetId);
+    await getStorage().deadLetters.append(endpoint.budgetSheetId, [
+      {
+        date: formatDateTime(new Date(), settings.Timezone),
+        eventId: event.id,
+        event: event.type,
+        serial: event.order.serial,
+        url: endpoint.url,
+        attempts,
+        error,
+        payload: JSON.stringify(event),
+      },
+    ]);
+  },
+});
+
+/**
+ * event: 'submitted' | 'approved' | 'edited' | 'rejected' | 'cancelled' |
+ *        'withdrawn', or 'reminder' / 'escalated' (e-mail only, see [2p]).
+ * order: { serial, status, lines?, approvalStep?, note?, ageHours? } – without lines,
+ * the order's current lines are read from the status tab; approvalStep
+ * (default: the step a waiting order waits on) picks the approvers to tell.
+ * Runs in the background: a failed e-mail or webhook never fails the request.
+ */
+function notifyOrderEvent(spreadsheetId, actor, event, order) {
+  (async () => {
+    const lines =
+      order.lines ||
+      (await getStorage().orders.list(spreadsheetId, order.status)).filter(
+        (l) => l.serial === order.serial
+      );
+    if (lines.length === 0) return;
+    const step =
+      order.approvalStep !== undefined
+        ? order.approvalStep
+        : order.status === 'waiting'
+        ? awaitedStep(lines[0])
+        : '';
+    const details = { ...order, lines, approvalStep: step };
+
+    await Promise.all([
+      emailOrderEvent(spreadsheetId, actor, event, details).catch((err) => {
+        logDebug('Order e-mail failed', {
+          serial: order.serial,
+          event,
+          error: err.message,
+        });
+      }),
+      postOrderWebhooks(spreadsheetId, actor, event, details),
+    ]);
+  })().catch((err) => {
+    logDebug('Order notification failed', {
+      serial: order.serial,
+      event,
+      error: err.message,
+    });
+  });
+}
+
+async function emailOrderEvent(spreadsheetId, actor, event, order) {
+  const { lines, approvalStep: step } = order;
+  const branch = lines[0].branch;
+
+  const escalatedTo = lines[0].escalatedTo || '';
+  // SLA reminders and escalations (see [2p]) only go to approvers
+  const approversOnly = event === 'reminder' || event === 'escalated';
+
+  const users = await userDirectory.usersOfTab(actor.tab);
+  const byAddress = new Map(); // email -> 'branch' | 'approver'
+  users.forEach((u) => {
+    if (!u.email || u.username === actor.username) return;
+    const level = (u.level || '').toUpperCase();
+    if (
+      ((step && level === step) ||
+        (escalatedTo &&
+          (u.username === escalatedTo ||
+            level === escalatedTo.toUpperCase()))) &&
+      isInBranchList(u.allowedBranches, branch)
+    ) {
+      byAddress.set(u.email, 'approver');
+    } else if (
+      !approversOnly &&
+      u.branch === branch &&
+      !byAddress.has(u.email)
+    ) {
+      byAddress.set(u.email, 'branch');
+    }
+  });
+  if (byAddress.size === 0) return;
+
+  const settings = await getClientSettings(spreadsheetId);
+  const details = {
+    serial: order.serial,
+    branch,
+    status: order.status,
+    approvalStep: step,
+    lines,
+    actor: actor.username,
+    note: order.note || '',
+    ageHours: order.ageHours,
+  };
+  for (const [to, role] of byAddress) {
+    const roleEvent =
+      role === 'approver' &&
+      (event === 'submitted' || event === 'step_approved')
+        ? 'awaiting-approval'
+        : event;
+    await sendMail({
+      to,
+      ...renderOrderEmail(roleEvent, details, settings.EmailLanguage),
+    });
+  }
+}
+
+/**
+ * Webhook body:
+ *   { id, type, action, createdAt, client, actor: { username, level },
+ *     order: { serial, branch, status, approvalStep, approvalChain, date,
+ *              submittedBy, total, note, lines: [...] } }
+ * action is the order event (e.g. 'withdrawn' for an order.cancelled).
+ */
+function orderWebhookEvent(actor, event, order) {
+  const { lines } = order;
+  return {
+    id: crypto.randomUUID(),
+    type: WEBHOOK_EVENT_TYPES[event],
+    action: event,
+    createdAt: new Date().toISOString(),
+    client: actor.tab,
+    actor: { username: actor.username, level: actor.level },
+    order: {
+      serial: order.serial,
+      branch: lines[0].branch,
+      status: order.status,
+      approvalStep: order.approvalStep || null,
+      approvalChain: lines[0].approvalChain || '',
+      date: lines[0].date,
+      submittedBy: lines[0].username,
+      total: lines.reduce((sum, l) => sum + (Number(l.subtotal) || 0), 0),
+      note: order.note || '',
+      lines: lines.map((l) => ({
+        lineId: l.lineId === undefined ? null : l.lineId,
+        productCode: l.productCode,
+        productName: l.productName,
+        category: l.category,
+        unitPrice: Number(l.unitPrice) || 0,
+        quantity: Number(l.quantity) || 0,
+        subtotal: Number(l.subtotal) || 0,
+        note: l.note || '',
+      })),
+    },
+  };
+}
+
+async function postOrderWebhooks(spreadsheetId, actor, event, order) {
+  const type = WEBHOOK_EVENT_TYPES[event];
+  if (!type) return;
+  const endpoints = (await getStorage().webhooks.list(spreadsheetId)).filter(
+    (w) => w.events.length === 0 || w.events.includes(type)
+  );
+  if (endpoints.length === 0) return;
+  const payload = orderWebhookEvent(actor, event, order);
+  await Promise.all(
+    endpoints.map((w) =>
+      webhookDispatcher.deliver({ ...w, budgetSheetId: spreadsheetId }, payload)
+    )
+  );
+}
+
+/* ========================================================================== */
+/* === [2p] Approval SLA (reminders and escalation of overdue orders)     === */
+/* ========================================================================== */
+// Settings: ApprovalReminderHours – a waiting order is overdue after this many
+// hours on its current step; its approvers are e-mailed, again every
+// ApprovalReminderHours while it stays there. ApprovalEscalationHours – after
+// this many hours the order is escalated (column N of the waiting lines) to
+// EscalationApprover (the username of an approver) or, when that is empty, to
+// the next level above the step that has users. The escalation target may
+// then approve or cancel it like the awaited level. Empty or 0 turns either
+// off. The clock restarts when the order moves to its next step.
+// APPROVAL_SLA_CHECK_MINUTES (default 15, 0 = off) sets how often it runs.
+
+const SLA_ACTOR = { username: 'system', level: '' };
+
+function slaHours(settings, key) {
+  const hours = parseFloat(settings[key]);
+  return hours > 0 ? hours : 0;
+}
+
+/**
+ * serial -> Date a waiting order started waiting on its current step: the
+ * last approval logged for it, else the order date.
+ */
+async function getWaitingSinceBySerial(spreadsheetId, waitingLines, tz) {
+  const out = {};
+  waitingLines.forEach((l) => {
+    const date = parseSheetDate(l.date, tz);
+    if (date && (!out[l.serial] || date < out[l.serial])) out[l.serial] = date;
+  });
+  (await getStorage().approvals.list(spreadsheetId)).forEach((a) => {
+    if (!out[a.serial]) return;
+    const date = parseSheetDate(a.date, tz);
+    if (date && date > out[a.serial]) out[a.serial] = date;
+  });
+  return out;
+}
+
+// { waitingSince, ageHours, overdue, escalatedTo } of a waiting order
+function slaFields(settings, line, waitingSince, now = new Date()) {
+  const ageHours = waitingSince ? (now - waitingSince) / 3600000 : 0;
+  const reminderHours = slaHours(settings, 'ApprovalReminderHours');
+  return {
+    waitingSince: waitingSince
+      ? formatDateTime(waitingSince, settings.Timezone)
+      : '',
+    ageHours: Math.floor(ageHours * 10) / 10,
+    overdue: reminderHours > 0 && ageHours >= reminderHours,
+    escalatedTo: line.escalatedTo || '',
+  };
+}
+
+// EscalationApprover if it names an approver of the tab, else the next level up
+async function escalationTarget(tab, settings, step) {
+  const users = await userDirectory.usersOfTab(tab);
+  const named = (settings.EscalationApprover || '').toString().trim();
+  if (named) {
+    if (users.some((u) => u.username === named && isApprover(u))) return named;
+    logDebug('EscalationApprover is not an approver of the client', {
+      tab,
+      EscalationApprover: named,
+    });
+  }
+  const ranks = users
+    .map((u) => levelRank(u.level))
+    .filter((r) => r > levelRank(step));
+  return ranks.length ? `L${Math.min(...ranks)}` : null;
+}
+
+async function checkClientSla(tab, spreadsheetId, now) {
+  const settings = await getClientSettings(spreadsheetId);
+  const reminderHours = slaHours(settings, 'ApprovalReminderHours');
+  const escalationHours = slaHours(settings, 'ApprovalEscalationHours');
+  if (!reminderHours && !escalationHours) return;
+
+  const storage = getStorage();
+  const tz = settings.Timezone;
+  const waiting = await storage.orders.list(spreadsheetId, 'waiting');
+  if (waiting.length === 0) return;
+  const bySerial = new Map();
+  waiting.forEach((l) => {
+    if (!bySerial.has(l.serial)) bySerial.set(l.serial, []);
+    bySerial.get(l.serial).push(l);
+  });
+  const sinceBySerial = await getWaitingSinceBySerial(
+    spreadsheetId,
+    waiting,
+    tz
+  );
+  const lastReminder = {};
+  (await storage.audit.list(spreadsheetId)).forEach((e) => {
+    if (e.action !== 'reminder') return;
+    const date = parseSheetDate(e.date, tz);
+    if (date && (!lastReminder[e.serial] || date > lastReminder[e.serial])) {
+      lastReminder[e.serial] = date;
+    }
+  });
+  const actor = { ...SLA_ACTOR, tab };
+
+  for (const [serial, lines] of bySerial) {
+    const since = sinceBySerial[serial];
+    if (!since) continue;
+    const ageHours = (now - since) / 3600000;
+    const step = awaitedStep(lines[0]);
+
+    if (
+      escalationHours &&
+      ageHours >= escalationHours &&
+      !lines[0].escalatedTo
+    ) {
+      const target = await escalationTarget(tab, settings, step);
+      // Skipped when the order was decided or escalated since it was read
+      const escalated =
+        target &&
+        (await withOrderLock(spreadsheetId, serial, async () => {
+          const current = (
+            await storage.orders.list(spreadsheetId, 'waiting')
+          ).filter((l) => l.serial === serial);
+          if (
+            current.length === 0 ||
+            awaitedStep(current[0]) !== step ||
+            current[0].escalatedTo
+          ) {
+            return false;
+          }
+          await storage.orders.update(
+            spreadsheetId,
+            'waiting',
+            current.map((l) => ({ lineId: l.lineId, escalatedTo: target }))
+          );
+          return true;
+        }));
+      if (escalated) {
+        await recordAudit(spreadsheetId, actor, tz, [
+          { serial, action: 'escalate', details: `${step} -> ${target}` },
+        ]);
+        notifyOrderEvent(spreadsheetId, actor, 'escalated', {
+          serial,
+          status: 'waiting',
+          lines: lines.map((l) => ({ ...l, escalatedTo: target })),
+          ageHours,
+        });
+        logDebug('Escalated overdue order', { serial, step, target });
+        continue;
+      }
+    }
+
+    const reminded = lastReminder[serial];
+    if (
+      reminderHours &&
+      ageHours >= reminderHours &&
+      (!reminded ||
+        reminded < since ||
+        (now - reminded) / 3600000 >= reminderHours)
+    ) {
+      await recordAudit(spreadsheetId, actor, tz, [
+        { serial, action: 'reminder', details: step },
+      ]);
+      notifyOrderEvent(spreadsheetId, actor, 'reminder', {
+        serial,
+        status: 'waiting',
+        lines,
+        ageHours,
+      });
+      logDebug('Sent approval reminder', { serial, step, ageHours });
+    }
+  }
+}
+
+// One pass over every client; a pass still running makes the next one skip.
+let slaRunning = false;
+async function runApprovalSla(now = new Date()) {
+  if (slaRunning) return;
+  slaRunning = true;
+  try {
+    for (const { tab, budgetSheetId } of await userDirectory.clientTabs()) {
+      if (!budgetSheetId) continue;
+      try {
+        await checkClientSla(tab, budgetSheetId, now);
+      } catch (err) {
+        logDebug('Approval SLA check failed', { tab, error: err.message });
+      }
+    }
+  } catch (err) {
+    // e.g. the user directory could not be loaded; the next tick retries
+    logDebug('Approval SLA run failed', { error: err.message });
+  } finally {
+    slaRunning = false;
+  }
+}
+
+/* ========================================================================== */
+/* === [2q] Approver delegation ("Delegations" tab)                        === */
+/* ========================================================================== */
+// An approver (own level L2 or above) hands their approval rights to another
+// user of the client for a date range (both days included, client timezone).
+// While it runs the delegate is an approver for the delegator's level as well
+// as their own; approvals are logged as "... on behalf of <delegator>".
+// Rights come from the delegator's current level, so they end early if the
+// delegator stops being an approver. Delegates cannot delegate further, and
+// delegated rights do not cover orders of the delegate's own branch or orders
+// they submitted (see actingFor).
+
+const delegationsCache = new Map(); // spreadsheetId -> { list, loadedAt }
+
+// Cached like the Settings tab: read on every authenticated request
+async function getDelegations(spreadsheetId) {
+  const cached = delegationsCache.get(spreadsheetId);
+  if (cached && Date.now() - cached.loadedAt < CLIENT_SETTINGS_TTL_MS) {
+    return cached.list;
+  }
+  const list = await getStorage().delegations.list(spreadsheetId);
+  delegationsCache.set(spreadsheetId, { list, loadedAt: Date.now() });
+  return list;
+}
+
+function isDelegationActive(d, today) {
+  return !d.revokedAt && d.startDate <= today && today <= d.endDate;
+}
+
+// "YYYY-MM-DD" of today in tz
+function todayIn(tz) {
+  return formatDateTime(new Date(), tz).slice(0, 10);
+}
+
+// [{ username, level, until }] of the approvers whose rights user holds today
+async function getDelegatedFrom(user, tz) {
+  const today = todayIn(tz);
+  const active = (await getDelegations(user.budgetSheetId)).filter(
+    (d) => d.to === user.username && isDelegationActive(d, today)
+  );
+  if (active.length === 0) return [];
+  const users = await userDirectory.usersOfTab(user.tab);
+  const out = [];
+  active.forEach((d) => {
+    const from = users.find((u) => u.username === d.from);
+    if (from && levelRank(from.level) >= 2) {
+      out.push({
+        username: from.username,
+        level: from.level,
+        allowedBranches: from.allowedBranches,
+        until: d.endDate,
+      });
+    }
+  });
+  return out;
+}
+
+/* ========================================================================== */
+/* === [2h] Monthly branch budgets ("Branch Budgets" tab)                  === */
+/* ========================================================================== */
+// Spend = Waiting + net Final lines (listCountedLines) of the branch dated in
+// that month. Branches without a budget row are unlimited. Settings
+// "BudgetMode": "warn" lets an over-budget order through with a warning,
+// "block" rejects it.
+const budgetLock = createKeyedMutex();
+
+/**
+ * Budget of a branch for a "YYYY-MM" month in tz: the row for that month, else
+ * the branch's row with an empty month.
+ * Returns { month, budget, spent, remaining } or null when there is no budget.
+ */
+async function getBranchBudget(spreadsheetId, branchName, yearMonth, tz) {
+  const storage = getStorage();
+  const rows = (await storage.budgets.list(spreadsheetId)).filter(
+    (b) => b.branch === branchName
+  );
+  const row =
+    rows.find((b) => b.month === yearMonth) || rows.find((b) => !b.month);
+  const range = monthRange(yearMonth, tz);
+  if (!row || !range) return null;
+
+  let spent = 0;
+  (await listCountedLines(spreadsheetId)).forEach((line) => {
+    if (line.branch !== branchName) return;
+    if (!isInDateRange(parseSheetDate(line.date, tz), range)) return;
+    spent += Number(line.subtotal) || 0;
+  });
+  return {
+    month: yearMonth,
+    budget: row.amount,
+    spent,
+    remaining: row.amount - spent,
+  };
+}
+
+/* ========================================================================== */
+/* === [2i] Per-product monthly caps (Product Catalog F / "Product Limits") === */
+/* ========================================================================== */
+// A branch may order at most maxQty units of a product per month (Waiting +
+// net Final lines). Settings "QuantityLimitMode": "block" (default) rejects lines
+// over the cap, "flag" accepts them and marks the line note.
+const OVER_LIMIT_NOTE = 'تجاوز الحد الأقصى الشهري';
+
+/**
+ * Caps of one branch for a "YYYY-MM" month in tz, keyed by product code:
+ *   { [code]: { maxQty, orderedQty, remainingQty } } (products without a cap are absent)
+ * A "Product Limits" row for the branch wins over the catalog's MaxQty.
+ */
+async function getProductAllowances(spreadsheetId, branchName, yearMonth, tz) {
+  const storage = getStorage();
+  const caps = {};
+  (await storage.catalog.list(spreadsheetId)).forEach((p) => {
+    if (p.maxQty !== null && p.maxQty !== undefined) caps[p.code] = p.maxQty;
+  });
+  (await storage.limits.list(spreadsheetId)).forEach((l) => {
+    if (l.branch === branchName) caps[l.productCode] = l.maxQty;
+  });
+  if (Object.keys(caps).length === 0) return {};
+
+  const ordered = {};
+  const range = monthRange(yearMonth, tz);
+  (await listCountedLines(spreadsheetId)).forEach((line) => {
+    if (line.branch !== branchName || !(line.productCode in caps)) return;
+    if (!isInDateRange(parseSheetDate(line.date, tz), range)) return;
+    ordered[line.productCode] =
+      (ordered[line.productCode] || 0) + line.quantity;
+  });
+
+  const out = {};
+  Object.keys(caps).forEach((code) => {
+    const orderedQty = ordered[code] || 0;
+    out[code] = {
+      maxQty: caps[code],
+      orderedQty,
+      remainingQty: caps[code] - orderedQty,
+    };
+  });
+  return out;
+}
+
+/**
+ * Lines whose extra quantity does not fit the remaining allowance.
+ * extraByCode: { [code]: additional units }.
+ * Returns [{ productCode, requested, maxQty, remainingQty }].
+ */
+function findQuantityViolations(allowances, extraByCode) {
+  return Object.keys(extraByCode)
+    .filter((code) => {
+      const a = allowances[code];
+      return a && extraByCode[code] > 0 && extraByCode[code] > a.remainingQty;
+    })
+    .map((code) => ({
+      productCode: code,
+      requested: extraByCode[code],
+      maxQty: allowances[code].maxQty,
+      remainingQty: Math.max(0, allowances[code].remainingQty),
+    }));
+}
+
+function isQuantityLimitBlocking(settings) {
+  return (settings.QuantityLimitMode || '').toLowerCase() !== 'flag';
+}
+
+/* ========================================================================== */
+/* === [2j] Paper quota for paperMode users (column Z, "Paper Quotas" tab) === */
+/* ========================================================================== */
+// Units of paper-category products (Settings "PaperCategories") ordered by the
+// branch in the month, Waiting + net Final, whoever submitted them. Categories come
+// from the catalog (the line's own category only for products no longer listed).
+// Only submissions by paperMode users are checked against the quota.
+
+// Predicate (line or order item) -> true for paper products
+async function getPaperLineFilter(spreadsheetId, settings) {
+  const categories = (settings.PaperCategories || '')
+    .split(',')
+    .map((c) => c.trim())
+    .filter((c) => c);
+  const isPaperCategory = (c) => categories.includes((c || '').toString().trim());
+  const byCode = new Map();
+  (await getStorage().catalog.list(spreadsheetId)).forEach((p) => {
+    byCode.set(p.code, isPaperCategory(p.category));
+  });
+  return (line) =>
+    byCode.has(line.productCode)
+      ? byCode.get(line.productCode)
+      : isPaperCategory(line.category);
+}
+
+/**
+ * Paper quota of a branch for a "YYYY-MM" month in tz (row for that month, else
+ * the branch's empty-month row).
+ * Returns { month, quota, used, remaining } or null when the branch has no quota.
+ */
+async function getPaperUsage(spreadsheetId, branchName, yearMonth, tz, settings) {
+  const storage = getStorage();
+  const rows = (await storage.paperQuotas.list(spreadsheetId)).filter(
+    (q) => q.branch === branchName
+  );
+  const row =
+    rows.find((q) => q.month === yearMonth) || rows.find((q) => !q.month);
+  const range = monthRange(yearMonth, tz);
+  if (!row || !range) return null;
+
+  const isPaperLine = await getPaperLineFilter(spreadsheetId, settings);
+  let used = 0;
+  (await listCountedLines(spreadsheetId)).forEach((line) => {
+    if (line.branch !== branchName || !isPaperLine(line)) return;
+    if (!isInDateRange(parseSheetDate(line.date, tz), range)) return;
+    used += line.quantity;
+  });
+  return { month: yearMonth, quota: row.units, used, remaining: row.units - used };
+}
+
+/* ========================================================================== */
+/* === [3] Login Endpoint (restricted + paperMode + level L1/L2/L3...)    === */
+/* ========================================================================== */
+app.post('/api/validateLogin', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    logDebug('Login attempt', { username });
+
+    const match = await findClientTabAndSheetIdByUser(username, password);
+    if (!match) {
+      logDebug('Login failed', { username });
+      return res.json({
+        success: false,
+        message: 'اسم المستخدم أو كلمة المرور غير صحيحة',
+      });
+    }
+
+    const settings = await getClientSettings(match.budgetSheetId);
+    const delegatedFrom = await getDelegatedFrom(
+      { username, ...match },
+      settings.Timezone
+    );
+    const user = {
+      username,
+      branch: match.branch || '',
+      userType: 'tasa', // kept for compatibility
+      restricted: !!match.restricted,
+      paperMode: !!match.paperMode,
+      level: match.level || 'L1',
+      mustChangePassword: !!match.mustChangePassword,
+      // approval rights held by delegation today (see [2q])
+      delegatedFrom,
+    };
+
+    const { token, session } = createSession(username);
+    setSessionCookie(res, token);
+
+    logDebug('Login success (client tab via F2)', {
+      username,
+      tab: match.tab,
+      paperMode: user.paperMode,
+      level: match.level,
+    });
+    return res.json({
+      success: true,
+      user,
+      token,
+      expiresAt: new Date(session.expiresAt).toISOString(),
+    });
+  } catch (err) {
+    logDebug('Login error', { error: err.message });
+    res
+      .status(500)
+      .json({ success: false, message: 'حدث خطأ في النظام' });
+  }
+});
+
+/* ========================================================================== */
+/* === [3a] Change password (also clears the must-change flag in G)       === */
+/* ========================================================================== */
+/**
+ * POST /api/changePassword
+ * Body: { currentPassword, newPassword }
+ * Admin reset flow: put a temporary password in column B and "Y" in column G;
+ * the user logs in with it and is forced through this endpoint.
+ * Ends the user's other sessions and re-issues the caller's session cookie
+ * (new token and expiresAt in the body, as for login).
+ */
+app.post('/api/changePassword', requireSession, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = req.user;
+
+    if (!currentPassword || !newPassword) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'البيانات غير مكتملة' });
+    }
+    if (newPassword.toString().length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `كلمة المرور الجديدة يجب ألا تقل عن ${PASSWORD_MIN_LENGTH} أحرف`,
+      });
+    }
+    if (newPassword === currentPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'كلمة المرور الجديدة يجب أن تختلف عن الحالية',
+      });
+    }
+
+    const stored = (await userDirectory.candidates(user.username)).find(
+      (u) => u.tab === user.tab && u.rowNumber === user.rowNumber
+    );
+    if (!stored || !(await verifyPassword(currentPassword, stored.password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'كلمة المرور الحالية غير صحيحة',
+      });
+    }
+
+    const patch = {
+      password: await hashPassword(newPassword),
+      mustChangePassword: false,
+    };
+    await getStorage().users.update(stored, patch);
+    userDirectory.update(stored, patch);
+
+    // Sessions opened with the old password end; this one gets a fresh token
+    revokeSessionsOf(user.username);
+    const { token, session } = createSession(user.username);
+    setSessionCookie(res, token);
+
+    logDebug('Password changed', { username: user.username, tab: user.tab });
+    res.json({
+      success: true,
+      token,
+      expiresAt: new Date(session.expiresAt).toISOString(),
+    });
+  } catch (err) {
+    logDebug('Error in changePassword', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء تغيير كلمة المرور',
+    });
+  }
+});
+
+// POST /api/logout – revokes the current session server-side.
+app.post('/api/logout', (req, res) => {
+  const session = verifySessionToken(readSessionToken(req));
+  if (session) {
+    revokeSession(session.sid);
+    logDebug('Logout', { username: session.username });
+  }
+  clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/refreshUserDirectory
+ * Approvers and admins. Reloads the cached user directory right away (after
+ * editing the credentials sheet) instead of waiting for
+ * USER_DIRECTORY_TTL_MINUTES.
+ */
+app.post('/api/refreshUserDirectory', requireSession, async (req, res) => {
+  try {
+    if (!isApprover(req.user) && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح بتحديث قائمة المستخدمين',
+      });
+    }
+    const result = await userDirectory.refresh();
+    logDebug('User directory refreshed', {
+      username: req.user.username,
+      ...result,
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logDebug('Error in refreshUserDirectory', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء تحديث قائمة المستخدمين',
+    });
+  }
+});
+
+/* ========================================================================== */
+/* === [3b] For L2: Get list of branches for client                       === */
+/* ========================================================================== */
+// Branches of the client tab the user may act for (see canActForBranch)
+async function branchesForUser(user) {
+  return (await userDirectory.branchesOfTab(user.tab)).filter((b) =>
+    canActForBranch(user, b)
+  );
+}
+
+// Original endpoint (not used by current frontend but kept)
+app.get('/api/clientBranches', requireSession, async (req, res) => {
+  try {
+    const branches = await branchesForUser(req.user);
+    res.json({ success: true, branches });
+  } catch (err) {
+    logDebug('Error loading client branches', { error: err.message });
+    res
+      .status(500)
+      .json({ success: false, message: 'حدث خطأ في تحميل الفروع' });
+  }
+});
+
+// NEW: Endpoint used by frontend: /api/branchesForL2
+app.get('/api/branchesForL2', requireSession, async (req, res) => {
+  try {
+    const branches = await branchesForUser(req.user);
+    res.json({ success: true, branches });
+  } catch (err) {
+    logDebug('Error in branchesForL2', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تحميل الفروع',
+      branches: [],
+    });
+  }
+});
+
+/* ========================================================================== */
+/* === [3c] Approver delegation (out-of-office cover, see [2q])            === */
+/* ========================================================================== */
+function delegationView(d, today) {
+  return {
+    id: d.id,
+    from: d.from,
+    to: d.to,
+    startDate: d.startDate,
+    endDate: d.endDate,
+    createdAt: d.createdAt,
+    revokedBy: d.revokedBy || '',
+    revokedAt: d.revokedAt || '',
+    active: isDelegationActive(d, today),
+  };
+}
+
+// GET /api/delegations -> { success, canDelegate, given: [...], received: [...] }
+// (newest first; the session user's own delegations only)
+app.get('/api/delegations', requireSession, async (req, res) => {
+  try {
+    const me = req.user.username;
+    const today = todayIn(req.timezone);
+    const list = (await getDelegations(req.user.budgetSheetId))
+      .slice()
+      .reverse();
+
+    res.json({
+      success: true,
+      canDelegate: levelRank(req.user.level) >= 2,
+      given: list
+        .filter((d) => d.from === me)
+        .map((d) => delegationView(d, today)),
+      received: list
+        .filter((d) => d.to === me)
+        .map((d) => delegationView(d, today)),
+    });
+  } catch (err) {
+    logDebug('Error in delegations', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء تحميل التفويضات',
+    });
+  }
+});
+
+/**
+ * POST /api/delegations
+ * Body: { to, startDate, endDate } (YYYY-MM-DD, both days included)
+ * Only for approvers by their own level (column E), not for delegates.
+ */
+app.post('/api/delegations', requireSession, async (req, res) => {
+  try {
+    const to = (req.body.to || '').toString().trim();
+    const startDate = (req.body.startDate || '').toString().trim();
+    const endDate = (req.body.endDate || '').toString().trim();
+    const userInfo = req.user;
+
+    if (!to || !startDate || !endDate) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'البيانات غير مكتملة' });
+    }
+    if (levelRank(userInfo.level) < 2) {
+      return res.status(403).json({
+        success: false,
+        message: 'التفويض متاح للمعتمدين (L2 فأعلى) فقط',
+      });
+    }
+    if (!dayStart(startDate) || !dayStart(endDate) || startDate > endDate) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'الفترة المحددة غير صحيحة' });
+    }
+    if (endDate < todayIn(req.timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا يمكن التفويض لفترة منتهية',
+      });
+    }
+    if (to === userInfo.username) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'لا يمكن التفويض لنفسك' });
+    }
+    const delegate = (await userDirectory.usersOfTab(userInfo.tab)).find(
+      (u) => u.username === to
+    );
+    if (!delegate) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'المستخدم غير موجود' });
+    }
+
+    const BUDGET_SHEET_ID = userInfo.budgetSheetId;
+    await getStorage().delegations.append(BUDGET_SHEET_ID, [
+      {
+        from: userInfo.username,
+        to,
+        startDate,
+        endDate,
+        createdAt: formatDateTime(new Date(), req.timezone),
+        revokedBy: '',
+        revokedAt: '',
+      },
+    ]);
+    delegationsCache.delete(BUDGET_SHEET_ID);
+
+    logDebug('Delegation created', {
+      from: userInfo.username,
+      to,
+      startDate,
+      endDate,
+    });
+    res.json({ success: true });
+  } catch (err) {
+    logDebug('Error in createDelegation', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء حفظ التفويض',
+    });
+  }
+});
+
+// POST /api/revokeDelegation { id } – ends one of the session user's delegations now
+app.post('/api/revokeDelegation', requireSession, async (req, res) => {
+  try {
+    const id = (req.body.id || '').toString();
+    if (!id) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'البيانات غير مكتملة' });
+    }
+
+    const BUDGET_SHEET_ID = req.user.budgetSheetId;
+    const delegation = (
+      await getStorage().delegations.list(BUDGET_SHEET_ID)
+    ).find((d) => String(d.id) === id);
+    if (!delegation) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'التفويض غير موجود' });
+    }
+    if (delegation.from !== req.user.username) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح بإلغاء تفويض مستخدم آخر',
+      });
+    }
+    if (delegation.revokedAt) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'تم إلغاء هذا التفويض من قبل' });
+    }
+
+    await getStorage().delegations.revoke(BUDGET_SHEET_ID, delegation.id, {
+      revokedBy: req.user.username,
+      revokedAt: formatDateTime(new Date(), req.timezone),
+    });
+    delegationsCache.delete(BUDGET_SHEET_ID);
+
+    logDebug('Delegation revoked', { id, by: req.user.username });
+    res.json({ success: true });
+  } catch (err) {
+    logDebug('Error in revokeDelegation', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء إلغاء التفويض',
+    });
+  }
+});
+
+/* ========================================================================== */
+/* === [3d] Admin console: users of the client tab                        === */
+/* ========================================================================== */
+// Level ADMIN lists, creates and edits the users of its own client tab,
+// disables them (column J) and resets passwords. Usernames cannot be renamed:
+// orders and logs refer to them.
+const USER_LEVEL_PATTERN = /^(L[1-9]|WH|ADMIN)$/;
+const USERNAME_PATTERN = /^[^\s,]{2,64}$/;
+const EMAIL_PATTERN = /^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/;
+
+// A user record as the admin console sees it (never the password)
+function adminUserView(u) {
+  return {
+    username: u.username,
+    branch: u.branch || '',
+    level: u.level || 'L1',
+    restricted: !!u.restricted,
+    paperMode: !!u.paperMode,
+    email: u.email || '',
+    allowedBranches: u.allowedBranches || [],
+    mustChangePassword: !!u.mustChangePassword,
+    disabled: !!u.disabled,
+  };
 }
 
 /**
- * Generic helper: get user info (tab, branch, restricted, level, paperMode, budgetSheetId)
- * by username only. Used after login in all endpoints that need to know L1/L2 and sheet id.
+ * Checks the editable fields present in body against the tab's branches.
+ *   branch: one of branches, or a new one when body.newBranch is true (a
+ *     name that only differs in case / spaces from an existing one is refused)
+ *   level: L1..L9, WH or ADMIN; L1 users need a branch
+ *   allowedBranches: array or comma-separated, existing branches only
+ *   email: empty or an address; restricted / paperMode / disabled: booleans
+ * current: the stored user when editing.
+ * Returns { patch } (only the fields sent) or { error }.
  */
-async function getUserInfoByUsername(sheets, masterSheetId, username) {
-  const metaResp = await sheets.spreadsheets.get({
-    spreadsheetId: masterSheetId,
-  });
-  const allSheets = metaResp.data.sheets || [];
-  const sheetTitles = allSheets
-    .map((s) => s.properties?.title)
-    .filter(Boolean);
-
-  const exclude = new Set(['Config', 'Readme']);
-  const clientTabs = sheetTitles.filter((t) => !exclude.has(t));
-
-  for (const title of clientTabs) {
-    const credResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: masterSheetId,
-      range: `${title}!A2:Z`,
-    });
-    const rows = credResp.data.values || [];
-
-    for (const row of rows) {
-      const u = (row[0] || '').toString().trim();
-      if (!u) continue;
-      if (u === username) {
-        const branch = (row[2] || '').toString().trim();
-        const restricted =
-          (row[3] || '').toString().trim().toUpperCase() === 'Y';
-        const level =
-          (row[4] || '').toString().trim().toUpperCase() || 'L1';
-        const paperMode =
-          (row[25] || '').toString().trim().toUpperCase() === 'Y';
-
-        const idCellResp = await sheets.spreadsheets.values.get({
-          spreadsheetId: masterSheetId,
-          range: `${title}!F2`,
-        });
-        const budgetSheetId =
-          (idCellResp.data.values?.[0]?.[0] || '').toString().trim();
-        if (!budgetSheetId)
-          throw new Error(`BudgetSheetId missing in ${title}!F2`);
+function validateUserFields(body, branches, current = {}) {
+  const patch = {};
+  const key = (b) => b.replace(/\s+/g, ' ').trim().toLowerCase();
+
+  // Text fields are strings when sent (null, numbers or objects are refused)
+  const isText = (v) => v === undefined || typeof v === 'string';
+  const scope = body.allowedBranches;
+  if (
+    !['branch', 'level', 'email'].every((f) => isText(body[f])) ||
+    !(isText(scope) || (Array.isArray(scope) && scope.every(isText)))
+  ) {
+    return { error: 'البيانات غير مكتملة' };
+  }
 
-        return {
-          tab: title,
-          branch,
-          restricted,
-          level,
-          paperMode,
-          budgetSheetId,
-        };
+  if (body.branch !== undefined) {
+    const branch = body.branch.toString().replace(/\s+/g, ' ').trim();
+    if (branch && !branches.includes(branch)) {
+      const similar = branches.find((b) => key(b) === key(branch));
+      if (similar) return { error: `الفرع مسجل باسم "${similar}"` };
+      if (!body.newBranch) {
+        return { error: `الفرع "${branch}" غير موجود` };
       }
     }
+    patch.branch = branch;
   }
-  return null;
-}
 
-/**
- * Legacy: resolve only budgetSheetId by username (used in some endpoints).
- */
-async function resolveBudgetSheetIdFromF2ByUsername(
-  sheets,
-  masterSheetId,
-  username
-) {
-  const metaResp = await sheets.spreadsheets.get({
-    spreadsheetId: masterSheetId,
-  });
-  const allSheets = metaResp.data.sheets || [];
-  const sheetTitles = allSheets
-    .map((s) => s.properties?.title)
-    .filter(Boolean);
-
-  const exclude = new Set(['Config', 'Readme']);
-  const clientTabs = sheetTitles.filter((t) => !exclude.has(t));
-
-  for (const title of clientTabs) {
-    const credResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: masterSheetId,
-      range: `${title}!A2:A`,
-    });
-    const usernames = credResp.data.values || [];
-    for (const row of usernames) {
-      const u = (row[0] || '').toString().trim();
-      if (!u) continue;
-      if (u === username) {
-        const idCellResp = await sheets.spreadsheets.values.get({
-          spreadsheetId: masterSheetId,
-          range: `${title}!F2`,
-        });
-        const budgetSheetId =
-          (idCellResp.data.values?.[0]?.[0] || '').toString().trim();
-        if (!budgetSheetId)
-          throw new Error(`BudgetSheetId missing in ${title}!F2`);
-        return budgetSheetId;
-      }
+  if (body.level !== undefined) {
+    const level = body.level.toString().trim().toUpperCase();
+    if (!USER_LEVEL_PATTERN.test(level)) {
+      return { error: 'المستوى غير صحيح (L1 أو L2 أو L3 أو WH أو ADMIN)' };
     }
+    patch.level = level;
+  }
+  const level = patch.level || current.level || 'L1';
+  const branch = patch.branch !== undefined ? patch.branch : current.branch;
+  if (level === 'L1' && !branch) {
+    return { error: 'مستخدم الفرع (L1) يجب أن يكون له فرع' };
   }
-  throw new Error('User not found in any client tab');
-}
 
-/* ========================================================================== */
-/* === [2d] Helper: merge items into orders sheet (Final or Waiting)      === */
-/* ========================================================================== */
-/**
- * LEGACY: kept for compatibility in case needed later.
- * Currently NOT used for new orders / approvals, because we no longer consolidate orders.
- */
-async function mergeItemsIntoOrdersSheet(
-  sheets,
-  spreadsheetId,
-  sheetName,
-  branchName,
-  items,
-  defaultUsername
-) {
-  if (!Array.isArray(items) || items.length === 0) return;
+  if (body.allowedBranches !== undefined) {
+    const list = (
+      Array.isArray(body.allowedBranches)
+        ? body.allowedBranches
+        : body.allowedBranches.toString().split(',')
+    )
+      .map((b) => b.toString().trim())
+      .filter((b) => b);
+    const unknown = list.filter((b) => !branches.includes(b) && b !== branch);
+    if (unknown.length > 0) {
+      return { error: `فروع غير موجودة: ${unknown.join('، ')}` };
+    }
+    patch.allowedBranches = Array.from(new Set(list));
+  }
 
-  const ordersResp = await sheets.spreadsheets.values.get({
-    spreadsheetId,
-    range: sheetName,
-  });
-  const ordersRows = ordersResp.data.values || [];
-  const now = new Date();
-
-  const existingIndex = {};
-  for (let i = 1; i < ordersRows.length; i++) {
-    const row = ordersRows[i];
-    const cell = row[0];
-    const date = !cell
-      ? null
-      : !isNaN(cell) && Number(cell) > 30000
-      ? serialToDate(Number(cell))
-      : new Date(cell);
-    if (!date || !isSameMonth(date, now)) continue;
-    const rowBranch = row[1];
-    if (rowBranch !== branchName) continue;
-    const code = row[3];
-    const unitPrice = parseFloat(row[5]) || 0;
-    const qty = parseInt(row[8]) || 0;
-    existingIndex[code] = { rowIndex: i, qty, unitPrice };
-  }
-
-  const batchUpdates = [];
-  const rowsToAppend = [];
-
-  items.forEach((item) => {
-    const code = item.productCode;
-    const existing = existingIndex[code];
-    const qtyToAdd = item.quantity || 0;
-
-    if (existing) {
-      const newQty = (existing.qty || 0) + qtyToAdd;
-      const price = existing.unitPrice || item.unitPrice || 0;
-      const newSubtotal = price * newQty;
-      const r = existing.rowIndex + 1;
-
-      batchUpdates.push(
-        { range: `${sheetName}!I${r}`, values: [[newQty]] },
-        { range: `${sheetName}!G${r}`, values: [[newSubtotal]] }
-      );
-    } else {
-      rowsToAppend.push(item);
+  if (body.email !== undefined) {
+    const email = body.email.toString().trim();
+    if (email && !EMAIL_PATTERN.test(email)) {
+      return { error: 'البريد الإلكتروني غير صحيح' };
     }
-  });
+    patch.email = email;
+  }
 
-  if (batchUpdates.length > 0) {
-    await sheets.spreadsheets.values.batchUpdate({
-      spreadsheetId,
-      resource: { valueInputOption: 'USER_ENTERED', data: batchUpdates },
-    });
-    logDebug(`Updated existing lines in ${sheetName}`, {
-      count: batchUpdates.length / 2,
-    });
-  }
-
-  if (rowsToAppend.length > 0) {
-    const now2 = new Date();
-    const dateString = now2
-      .toLocaleString('sv-SE', { timeZone: 'Africa/Cairo' })
-      .replace('T', ' ');
-
-    const appendValues = rowsToAppend.map((item) => {
-      const price = Number(item.unitPrice) || 0;
-      const qty = Number(item.quantity) || 0;
-      const subtotal =
-        (typeof item.subtotal === 'number'
-          ? item.subtotal
-          : price * qty) || 0;
-      const cat = item.category || '';
-      const user = item.username || defaultUsername || '';
-      return [
-        dateString,
-        branchName,
-        user,
-        item.productCode,
-        item.productName,
-        price,
-        subtotal,
-        cat,
-        qty,
-        '',
-        '',
-      ];
-    });
+  ['restricted', 'paperMode', 'disabled'].forEach((flag) => {
+    if (body[flag] !== undefined) patch[flag] = body[flag] === true;
+  });
+  return { patch };
+}
 
-    // use new helper so it always starts in A
-    await appendRowsAtoK(sheets, spreadsheetId, sheetName, appendValues);
-    logDebug(`Appended new rows to ${sheetName}`, {
-      count: rowsToAppend.length,
-    });
+// The password sent by the admin, or a temporary one; { password } or { error }
+function adminPassword(body) {
+  if (body.password !== undefined && typeof body.password !== 'string') {
+    return { error: 'البيانات غير مكتملة' };
   }
+  const sent = body.password || '';
+  if (!sent) return { password: temporaryPassword() };
+  if (sent.length < PASSWORD_MIN_LENGTH) {
+    return {
+      error: `كلمة المرور يجب ألا تقل عن ${PASSWORD_MIN_LENGTH} أحرف`,
+    };
+  }
+  return { password: sent };
 }
 
-/* ========================================================================== */
-/* === [2e] NEW Helper: Order Serial Number                               === */
-/* ========================================================================== */
-/**
- * Reads the last serial from Serial Numbers!B2, increments it, writes back,
- * and returns new serial. Format: "AA<number>" (AA1, AA2, ...).
- */
-async function getNextOrderSerial(sheets, spreadsheetId) {
-  const prefix = 'AA';
-  let currentSerial = '';
+// The stored user of the admin's tab (disabled ones included), or null
+async function findTabUser(tab, username) {
+  const users = await userDirectory.usersOfTab(tab, { includeDisabled: true });
+  return users.find((u) => u.username === username) || null;
+}
+
+// GET /api/users -> { success, users: [...], branches: [...] } (sheet order)
+app.get('/api/users', requireSession, async (req, res) => {
   try {
-    const resp = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'Serial Numbers!B2',
-    });
-    currentSerial =
-      (resp.data.values && resp.data.values[0] && resp.data.values[0][0]) ||
-      '';
-    currentSerial = currentSerial.toString().trim();
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح بإدارة المستخدمين',
+      });
+    }
+    const { tab } = req.user;
+    const users = await userDirectory.usersOfTab(tab, {
+      includeDisabled: true,
+    });
+    res.json({
+      success: true,
+      users: users.map(adminUserView),
+      branches: await userDirectory.branchesOfTab(tab),
+    });
   } catch (err) {
-    logDebug('Error reading Serial Numbers!B2, assuming first serial', {
-      error: err.message,
+    logDebug('Error in listUsers', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تحميل المستخدمين',
     });
-    currentSerial = '';
   }
+});
 
-  const upper = currentSerial.toUpperCase();
-  let currentNum = 0;
-  if (upper && upper.startsWith(prefix)) {
-    const numPartStr = upper.slice(prefix.length).trim();
-    const parsed = parseInt(numPartStr, 10);
-    if (!isNaN(parsed) && parsed >= 0) {
-      currentNum = parsed;
-    }
-  }
-
-  const newNum = currentNum + 1;
-  const newSerial = `${prefix}${newNum}`;
-
-  await sheets.spreadsheets.values.update({
-    spreadsheetId,
-    range: 'Serial Numbers!B2',
-    valueInputOption: 'USER_ENTERED',
-    resource: { values: [[newSerial]] },
-  });
-
-  logDebug('Generated new order serial', {
-    previous: currentSerial || null,
-    newSerial,
-  });
-
-  return newSerial;
-}
-
-/* ========================================================================== */
-/* === [3] Login Endpoint (restricted + paperMode + level L1/L2)          === */
-/* ========================================================================== */
-app.post('/api/validateLogin', async (req, res) => {
+/**
+ * POST /api/users
+ * Body: { username, level, branch, newBranch?, password?, restricted?,
+ *         paperMode?, email?, allowedBranches? }
+ * Adds a user to the admin's tab. Without a password a temporary one is made;
+ * either way the user must change it at first login. Returns it once as
+ * temporaryPassword.
+ */
+app.post('/api/users', requireSession, async (req, res) => {
   try {
-    const { username, password } = req.body;
-    logDebug('Login attempt', { username });
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح بإدارة المستخدمين',
+      });
+    }
+    const username = (req.body.username || '').toString().trim();
+    if (!username || !req.body.level) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'البيانات غير مكتملة' });
+    }
+    if (!USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({
+        success: false,
+        message: 'اسم المستخدم غير صحيح (بدون مسافات أو فواصل)',
+      });
+    }
 
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
+    const { tab } = req.user;
+    const sameName = (u) => u.username.toLowerCase() === username.toLowerCase();
+    const taken =
+      (await userDirectory.candidates(username, { reloadOnMiss: true }))
+        .length > 0 ||
+      (await userDirectory.usersOfTab(tab, { includeDisabled: true })).some(
+        sameName
+      );
+    if (taken) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'اسم المستخدم مستخدم بالفعل' });
+    }
 
-    const match = await findClientTabAndSheetIdByUser(
-      sheets,
-      credentialsSheetId,
-      username,
-      password
+    const branches = await userDirectory.branchesOfTab(tab);
+    const { patch, error } = validateUserFields(
+      { ...req.body, disabled: undefined },
+      branches
     );
-    if (!match) {
-      logDebug('Login failed', { username });
-      return res.json({
-        success: false,
-        message: 'اسم المستخدم أو كلمة المرور غير صحيحة',
-      });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const { password, error: passwordError } = adminPassword(req.body);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
     }
 
-    const user = {
+    const record = {
       username,
-      branch: match.branch || '',
-      userType: 'tasa', // kept for compatibility
-      restricted: !!match.restricted,
-      paperMode: !!match.paperMode,
-      level: match.level || 'L1',
+      password: await hashPassword(password),
+      branch: '',
+      restricted: false,
+      level: 'L1',
+      mustChangePassword: true,
+      email: '',
+      allowedBranches: [],
+      disabled: false,
+      paperMode: false,
+      ...patch,
     };
+    await getStorage().users.append(tab, record);
+    await userDirectory.refresh();
 
-    logDebug('Login success (client tab via F2)', {
+    logDebug('User created', {
+      admin: req.user.username,
+      tab,
       username,
-      tab: match.tab,
-      paperMode: user.paperMode,
-      level: match.level,
+      level: record.level,
+      branch: record.branch,
+    });
+    res.json({
+      success: true,
+      user: adminUserView(record),
+      temporaryPassword: password,
     });
-    return res.json({ success: true, user });
   } catch (err) {
-    logDebug('Login error', { error: err.message });
-    res
-      .status(500)
-      .json({ success: false, message: 'حدث خطأ في النظام' });
+    logDebug('Error in createUser', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء إضافة المستخدم',
+    });
   }
 });
 
-/* ========================================================================== */
-/* === [3b] For L2: Get list of branches for client                       === */
-/* ========================================================================== */
-// Original endpoint (not used by current frontend but kept)
-app.get('/api/clientBranches', async (req, res) => {
+/**
+ * POST /api/updateUser
+ * Body: { username, branch?, newBranch?, level?, restricted?, paperMode?,
+ *         email?, allowedBranches?, disabled? }
+ * Only the fields sent change. disabled: true blocks the login and ends the
+ * user's sessions; admins cannot disable or demote themselves.
+ */
+app.post('/api/updateUser', requireSession, async (req, res) => {
   try {
-    const username = (req.query.username || '').trim();
-    if (!username) {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح بإدارة المستخدمين',
+      });
+    }
+    const username = (req.body.username || '').toString().trim();
+    const stored = username && (await findTabUser(req.user.tab, username));
+    if (!stored) {
       return res
         .status(400)
-        .json({ success: false, message: 'Missing username' });
+        .json({ success: false, message: 'المستخدم غير موجود' });
     }
 
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-
-    const userInfo = await getUserInfoByUsername(
-      sheets,
-      credentialsSheetId,
-      username
-    );
-    if (!userInfo) {
+    const branches = await userDirectory.branchesOfTab(req.user.tab);
+    const { patch, error } = validateUserFields(req.body, branches, stored);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (
+      username === req.user.username &&
+      (patch.disabled || (patch.level && patch.level !== 'ADMIN'))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا يمكنك إيقاف حسابك أو تغيير مستواه',
+      });
+    }
+    if (Object.keys(patch).length === 0) {
       return res
         .status(400)
-        .json({ success: false, message: 'المستخدم غير موجود' });
+        .json({ success: false, message: 'لا يوجد تعديلات' });
     }
 
-    const clientTab = userInfo.tab;
-    const resp = await sheets.spreadsheets.values.get({
-      spreadsheetId: credentialsSheetId,
-      range: `${clientTab}!C2:C`,
-    });
+    await getStorage().users.update(stored, patch);
+    userDirectory.update(stored, patch);
+    if (patch.disabled) revokeSessionsOf(username);
 
-    const rows = resp.data.values || [];
-    const set = new Set();
-    rows.forEach((r) => {
-      const b = (r[0] || '').toString().trim();
-      if (b) set.add(b);
+    logDebug('User updated', {
+      admin: req.user.username,
+      tab: req.user.tab,
+      username,
+      fields: Object.keys(patch),
     });
-
-    res.json({ success: true, branches: Array.from(set) });
+    res.json({ success: true, user: adminUserView({ ...stored, ...patch }) });
   } catch (err) {
-    logDebug('Error loading client branches', { error: err.message });
-    res
-      .status(500)
-      .json({ success: false, message: 'حدث خطأ في تحميل الفروع' });
+    logDebug('Error in updateUser', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء تعديل المستخدم',
+    });
   }
 });
 
-// NEW: Endpoint used by frontend: /api/branchesForL2
-app.get('/api/branchesForL2', async (req, res) => {
+/**
+ * POST /api/resetUserPassword
+ * Body: { username, password? } – sets the password (or a temporary one),
+ * forces a change at next login (column G) and ends the user's sessions.
+ */
+app.post('/api/resetUserPassword', requireSession, async (req, res) => {
   try {
-    const username = (req.query.username || '').trim();
-    if (!username) {
-      return res.status(400).json({
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({
         success: false,
-        message: 'Missing username',
-        branches: [],
+        message: 'غير مسموح بإدارة المستخدمين',
       });
     }
-
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-
-    const userInfo = await getUserInfoByUsername(
-      sheets,
-      credentialsSheetId,
-      username
-    );
-    if (!userInfo) {
+    const username = (req.body.username || '').toString().trim();
+    if (username === req.user.username) {
       return res.status(400).json({
         success: false,
-        message: 'المستخدم غير موجود',
-        branches: [],
+        message: 'استخدم "تغيير كلمة المرور" لحسابك',
       });
     }
+    const stored = username && (await findTabUser(req.user.tab, username));
+    if (!stored) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'المستخدم غير موجود' });
+    }
+    const { password, error } = adminPassword(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
 
-    const clientTab = userInfo.tab;
-    const resp = await sheets.spreadsheets.values.get({
-      spreadsheetId: credentialsSheetId,
-      range: `${clientTab}!C2:C`,
-    });
+    const patch = {
+      password: await hashPassword(password),
+      mustChangePassword: true,
+    };
+    await getStorage().users.update(stored, patch);
+    userDirectory.update(stored, patch);
+    revokeSessionsOf(username);
 
-    const rows = resp.data.values || [];
-    const set = new Set();
-    rows.forEach((r) => {
-      const b = (r[0] || '').toString().trim();
-      if (b) set.add(b);
+    logDebug('Password reset by admin', {
+      admin: req.user.username,
+      tab: req.user.tab,
+      username,
     });
-
-    const branches = Array.from(set);
-    res.json({ success: true, branches });
+    res.json({ success: true, username, temporaryPassword: password });
   } catch (err) {
-    logDebug('Error in branchesForL2', { error: err.message });
+    logDebug('Error in resetUserPassword', { error: err.message });
     res.status(500).json({
       success: false,
-      message: 'حدث خطأ في تحميل الفروع',
-      branches: [],
+      message: 'حدث خطأ أثناء إعادة تعيين كلمة المرور',
     });
   }
 });
@@ -611,21 +2391,13 @@ app.get('/api/branchesForL2', async (req, res) => {
 /* ========================================================================== */
 /* === [4] Load Order Data Endpoint                                       === */
 /* ========================================================================== */
-// CLEANED: now only loads products (no budgets, no Monthly Paper Count, no limits).
-app.get('/api/loadOrderDataWithSpending', async (req, res) => {
+// Products (with the branch's remaining monthly allowance) + the branch's budget
+// for the current month, and the paper consumption for paperMode users.
+app.get('/api/loadOrderDataWithSpending', requireSession, async (req, res) => {
   try {
     const branchName = req.query.branchName;
     const userType = req.query.userType || 'tasa';
-    const username = req.query.username || '';
-    const sheets = getSheetsClient();
-
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-    const BUDGET_SHEET_ID =
-      await resolveBudgetSheetIdFromF2ByUsername(
-        sheets,
-        credentialsSheetId,
-        username
-      );
+    const BUDGET_SHEET_ID = req.user.budgetSheetId;
 
     logDebug('Loading order data (products only)', {
       branchName,
@@ -633,24 +2405,50 @@ app.get('/api/loadOrderDataWithSpending', async (req, res) => {
       BUDGET_SHEET_ID,
     });
 
-    const productsResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Product Catalog',
-    });
-    const productsRows = productsResp.data.values || [];
-    const products = [];
-    for (let i = 1; i < productsRows.length; i++) {
-      products.push({
-        code: productsRows[i][0],
-        name: productsRows[i][1],
-        category: productsRows[i][2],
-        price: parseFloat(productsRows[i][3]) || 0,
-        imageUrl: productsRows[i][4] || '',
+    const products = await getStorage().catalog.list(BUDGET_SHEET_ID);
+    logDebug('Loaded products', { count: products.length });
+
+    let budget = null;
+    let paper = null;
+    if (branchName && canActForBranch(req.user, branchName)) {
+      const month = yearMonthOf(new Date(), req.timezone);
+      budget = await getBranchBudget(
+        BUDGET_SHEET_ID,
+        branchName,
+        month,
+        req.timezone
+      );
+      const allowances = await getProductAllowances(
+        BUDGET_SHEET_ID,
+        branchName,
+        month,
+        req.timezone
+      );
+      products.forEach((p) => {
+        const a = allowances[p.code];
+        p.maxQty = a ? a.maxQty : null;
+        p.orderedQty = a ? a.orderedQty : 0;
+        p.remainingQty = a ? Math.max(0, a.remainingQty) : null;
       });
+      if (req.user.paperMode) {
+        paper = await getPaperUsage(
+          BUDGET_SHEET_ID,
+          branchName,
+          month,
+          req.timezone,
+          req.clientSettings
+        );
+      }
     }
-    logDebug('Loaded products', { count: products.length });
 
-    res.json({ products });
+    res.json({
+      products,
+      budget,
+      paper,
+      quantityLimitMode: isQuantityLimitBlocking(req.clientSettings)
+        ? 'block'
+        : 'flag',
+    });
   } catch (err) {
     logDebug('Error loading data', { error: err.message });
     res.status(500).json({
@@ -661,22 +2459,72 @@ app.get('/api/loadOrderDataWithSpending', async (req, res) => {
 });
 
 /* ========================================================================== */
-/* === [4b] GET Past Orders For Branch, Current Month                      === */
+/* === [4a] Branch budget (order page + approval detail)                   === */
+/* ========================================================================== */
+// GET /api/branchBudget?branchName=...&month=YYYY-MM (default: current month)
+// { success, budget: { month, budget, spent, remaining } | null }
+app.get('/api/branchBudget', requireSession, async (req, res) => {
+  try {
+    const branchName = (req.query.branchName || '').trim();
+    const month =
+      (req.query.month || '').trim() || yearMonthOf(new Date(), req.timezone);
+
+    if (!branchName) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'البيانات غير مكتملة' });
+    }
+    if (!monthRange(month, req.timezone)) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'الفترة المحددة غير صحيحة' });
+    }
+    if (!canActForBranch(req.user, branchName)) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بعرض ميزانية هذا الفرع',
+      });
+    }
+
+    const budget = await getBranchBudget(
+      req.user.budgetSheetId,
+      branchName,
+      month,
+      req.timezone
+    );
+    res.json({ success: true, budget });
+  } catch (err) {
+    logDebug('Error in branchBudget', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء تحميل الميزانية',
+    });
+  }
+});
+
+/* ========================================================================== */
+/* === [4b] GET Past Orders For Branch (current month or ?month / ?from&to) === */
 /* ========================================================================== */
-app.get('/api/previousOrders', async (req, res) => {
+app.get('/api/previousOrders', requireSession, async (req, res) => {
   try {
     const branchName = req.query.branchName;
     const userType = req.query.userType || 'tasa';
-    const username = req.query.username || '';
-
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-    const BUDGET_SHEET_ID =
-      await resolveBudgetSheetIdFromF2ByUsername(
-        sheets,
-        credentialsSheetId,
-        username
-      );
+    const range = resolveDateRange(req.query, req.timezone);
+    if (!range) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'الفترة المحددة غير صحيحة' });
+    }
+
+    if (!canActForBranch(req.user, branchName)) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بعرض طلبات هذا الفرع',
+      });
+    }
+
+    const storage = getStorage();
+    const BUDGET_SHEET_ID = req.user.budgetSheetId;
 
     logDebug('Extracting previous orders', {
       branchName,
@@ -684,56 +2532,88 @@ app.get('/api/previousOrders', async (req, res) => {
       BUDGET_SHEET_ID,
     });
 
-    const productsResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Product Catalog',
-    });
-    const productRows = productsResp.data.values || [];
     const codeToProduct = {};
-    for (let i = 1; i < productRows.length; i++) {
-      const row = productRows[i];
-      codeToProduct[row[0]] = {
-        name: row[1],
-        imageUrl: row[4] || '',
-      };
-    }
-
-    const ordersResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Final Orders',
+    (await storage.catalog.list(BUDGET_SHEET_ID)).forEach((p) => {
+      codeToProduct[p.code] = { name: p.name, imageUrl: p.imageUrl };
     });
-    const ordersRows = ordersResp.data.values || [];
-    const now = new Date();
+
+    // Net quantities: approved minus signed-off returns
+    const finalLines = netFinalLines(
+      await storage.orders.list(BUDGET_SHEET_ID, 'approved'),
+      await getReturnedUnits(BUDGET_SHEET_ID)
+    );
 
     const ordersMap = {};
-    for (let i = 1; i < ordersRows.length; i++) {
-      const row = ordersRows[i];
-      const cell = row[0];
-      const date = !cell
-        ? null
-        : !isNaN(cell) && Number(cell) > 30000
-        ? serialToDate(Number(cell))
-        : new Date(cell);
-      if (!date || !isSameMonth(date, now)) continue;
-      const orderBranch = row[1];
-      if (orderBranch !== branchName) continue;
-      const productCode = row[3];
-      const quantity = parseInt(row[8]) || 0;
+    finalLines.forEach((line) => {
+      if (!isLineInPeriod(line, 'approved', range)) return;
+      if (line.branch !== branchName) return;
+      const productCode = line.productCode;
 
       ordersMap[productCode] = {
         productCode,
         productName: codeToProduct[productCode]?.name || productCode,
         imageUrl: codeToProduct[productCode]?.imageUrl || '',
-        quantity,
-        rowIndex: i,
+        quantity: line.quantity,
+        approvedQty: line.approvedQty,
+        returnedQty: line.returnedQty,
+        lineId: line.lineId,
+        serial: line.serial,
+        note: line.note,
       };
+    });
+
+    // Approver notes on the branch's orders of the period, whatever their
+    // status (so the branch also sees why an order was cancelled or changed)
+    const branchSerials = new Set();
+    for (const status of ORDER_STATUSES) {
+      const statusLines =
+        status === 'approved'
+          ? finalLines
+          : await storage.orders.list(BUDGET_SHEET_ID, status);
+      statusLines.forEach((line) => {
+        if (line.branch !== branchName || !line.serial) return;
+        if (!isLineInPeriod(line, status, range)) return;
+        branchSerials.add(line.serial);
+      });
     }
+    const notesBySerial = await getOrderNotesBySerial(
+      BUDGET_SHEET_ID,
+      Array.from(branchSerials)
+    );
+    const notes = [];
+    Object.keys(notesBySerial).forEach((serial) => {
+      notesBySerial[serial].forEach((n) => notes.push({ serial, ...n }));
+    });
+
+    // Warehouse progress of the branch's final orders of the period
+    const finalSerials = new Set();
+    finalLines.forEach((line) => {
+      if (line.branch !== branchName || !line.serial) return;
+      if (isLineInPeriod(line, 'approved', range)) finalSerials.add(line.serial);
+    });
+    const fulfilmentBySerial = await getFulfilmentBySerial(
+      BUDGET_SHEET_ID,
+      Array.from(finalSerials)
+    );
+    const fulfilment = Array.from(finalSerials).map((serial) => ({
+      serial,
+      ...(fulfilmentBySerial[serial] || { stage: '', history: [] }),
+    }));
+
+    // Returns (any status) on the branch's final orders of the period
+    const returnsBySerial = await getReturnsBySerial(
+      BUDGET_SHEET_ID,
+      Array.from(finalSerials)
+    );
+    const returns = [].concat(...Object.values(returnsBySerial));
 
     const ordersList = Object.values(ordersMap);
     logDebug('Extracted previous orders', {
       count: ordersList.length,
+      notes: notes.length,
+      returns: returns.length,
     });
-    res.json({ orders: ordersList });
+    res.json({ orders: ordersList, notes, fulfilment, returns });
   } catch (err) {
     logDebug('Error extracting previous orders', {
       error: err.message,
@@ -749,30 +2629,17 @@ app.get('/api/previousOrders', async (req, res) => {
 /* === [4c] L2 Approvals (original branch-based endpoints)                 === */
 /* ========================================================================== */
 
-// Summary of "Waiting for Approval" by branch (current month).
-app.get('/api/approvalsSummary', async (req, res) => {
+// Summary of "Waiting for Approval" by branch (all months unless ?month / ?from&to).
+app.get('/api/approvalsSummary', requireSession, async (req, res) => {
   try {
-    const username = (req.query.username || '').trim();
-    if (!username) {
-      return res
-        .status(400)
-        .json({ success: false, message: 'Missing username' });
-    }
-
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-    const userInfo = await getUserInfoByUsername(
-      sheets,
-      credentialsSheetId,
-      username
-    );
-
-    if (!userInfo) {
+    const range = resolveDateRange(req.query, req.timezone);
+    if (!range) {
       return res
         .status(400)
-        .json({ success: false, message: 'المستخدم غير موجود' });
+        .json({ success: false, message: 'الفترة المحددة غير صحيحة' });
     }
-    if ((userInfo.level || '').toUpperCase() !== 'L2') {
+    const userInfo = req.user;
+    if (!isApprover(userInfo)) {
       return res.status(403).json({
         success: false,
         message: 'غير مسموح بالموافقة على الطلبات',
@@ -780,30 +2647,18 @@ app.get('/api/approvalsSummary', async (req, res) => {
     }
 
     const BUDGET_SHEET_ID = userInfo.budgetSheetId;
-
-    const waitingResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Waiting for Approval',
-    });
-    const rows = waitingResp.data.values || [];
-    const now = new Date();
+
+    const lines = await getStorage().orders.list(BUDGET_SHEET_ID, 'waiting');
     const summary = {};
 
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      const cell = row[0];
-      const date = !cell
-        ? null
-        : !isNaN(cell) && Number(cell) > 30000
-        ? serialToDate(Number(cell))
-        : new Date(cell);
-      if (!date || !isSameMonth(date, now)) continue;
-
-      const branch = (row[1] || '').toString().trim();
+    for (const line of lines) {
+      if (!isLineInPeriod(line, 'waiting', range)) continue;
+      if (!isAwaitingUser(line, userInfo)) continue;
+
+      const branch = line.branch;
       if (!branch) continue;
-      const unitPrice = parseFloat(row[5]) || 0;
-      const qty = parseInt(row[8]) || 0;
-      const subtotal = parseFloat(row[6]) || unitPrice * qty;
+      const qty = line.quantity;
+      const subtotal = line.subtotal;
 
       if (!summary[branch]) {
         summary[branch] = {
@@ -830,87 +2685,55 @@ app.get('/api/approvalsSummary', async (req, res) => {
   }
 });
 
-// Details of "Waiting for Approval" for a specific branch (current month).
-app.get('/api/approvalDetails', async (req, res) => {
+// Details of "Waiting for Approval" for a specific branch (all months unless ?month / ?from&to).
+app.get('/api/approvalDetails', requireSession, async (req, res) => {
   try {
-    const username = (req.query.username || '').trim();
     const branchName = (req.query.branchName || '').trim();
 
-    if (!username || !branchName) {
+    if (!branchName) {
       return res
         .status(400)
         .json({ success: false, message: 'البيانات غير مكتملة' });
     }
-
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-    const userInfo = await getUserInfoByUsername(
-      sheets,
-      credentialsSheetId,
-      username
-    );
-
-    if (!userInfo) {
+    const range = resolveDateRange(req.query, req.timezone);
+    if (!range) {
       return res
         .status(400)
-        .json({ success: false, message: 'المستخدم غير موجود' });
+        .json({ success: false, message: 'الفترة المحددة غير صحيحة' });
     }
-    if ((userInfo.level || '').toUpperCase() !== 'L2') {
+
+    const userInfo = req.user;
+    if (!isApprover(userInfo)) {
       return res.status(403).json({
         success: false,
         message: 'غير مسموح بالموافقة على الطلبات',
       });
     }
 
+    const storage = getStorage();
     const BUDGET_SHEET_ID = userInfo.budgetSheetId;
 
-    const productsResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Product Catalog',
-    });
-    const productRows = productsResp.data.values || [];
     const codeToImage = {};
-    for (let i = 1; i < productRows.length; i++) {
-      const row = productRows[i];
-      codeToImage[row[0]] = row[4] || '';
-    }
-
-    const waitingResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Waiting for Approval',
+    (await storage.catalog.list(BUDGET_SHEET_ID)).forEach((p) => {
+      codeToImage[p.code] = p.imageUrl;
     });
-    const rows = waitingResp.data.values || [];
-    const now = new Date();
+
+    const lines = await storage.orders.list(BUDGET_SHEET_ID, 'waiting');
     const items = [];
 
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      const cell = row[0];
-      const date = !cell
-        ? null
-        : !isNaN(cell) && Number(cell) > 30000
-        ? serialToDate(Number(cell))
-        : new Date(cell);
-      if (!date || !isSameMonth(date, now)) continue;
-
-      const rowBranch = (row[1] || '').toString().trim();
-      if (rowBranch !== branchName) continue;
-
-      const productCode = row[3];
-      const productName = row[4];
-      const unitPrice = parseFloat(row[5]) || 0;
-      const qty = parseInt(row[8]) || 0;
-      const subtotal = parseFloat(row[6]) || unitPrice * qty;
-      const category = row[7] || '';
+    for (const line of lines) {
+      if (!isLineInPeriod(line, 'waiting', range)) continue;
+      if (line.branch !== branchName) continue;
+      if (!isAwaitingUser(line, userInfo)) continue;
 
       items.push({
-        productCode,
-        productName,
-        unitPrice,
-        quantity: qty,
-        subtotal,
-        category,
-        imageUrl: codeToImage[productCode] || '',
+        productCode: line.productCode,
+        productName: line.productName,
+        unitPrice: line.unitPrice,
+        quantity: line.quantity,
+        subtotal: line.subtotal,
+        category: line.category,
+        imageUrl: codeToImage[line.productCode] || '',
       });
     }
 
@@ -927,32 +2750,20 @@ app.get('/api/approvalDetails', async (req, res) => {
 });
 
 /* ========================================================================== */
-/* === [4d] Approve branch order (L2 moves Waiting -> Final Orders)       === */
+/* === [4d] Approve branch order (current step of every waiting order)     === */
 /* ========================================================================== */
-app.post('/api/approveBranchOrder', async (req, res) => {
+app.post('/api/approveBranchOrder', requireSession, async (req, res) => {
   try {
-    const { username, branchName } = req.body;
+    const { branchName } = req.body;
 
-    if (!username || !branchName) {
+    if (!branchName) {
       return res
         .status(400)
         .json({ success: false, message: 'البيانات غير مكتملة' });
     }
 
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-    const userInfo = await getUserInfoByUsername(
-      sheets,
-      credentialsSheetId,
-      username
-    );
-
-    if (!userInfo) {
-      return res
-        .status(400)
-        .json({ success: false, message: 'المستخدم غير موجود' });
-    }
-    if ((userInfo.level || '').toUpperCase() !== 'L2') {
+    const userInfo = req.user;
+    if (!isApprover(userInfo)) {
       return res.status(403).json({
         success: false,
         message: 'غير مسموح بالموافقة على الطلبات',
@@ -961,76 +2772,47 @@ app.post('/api/approveBranchOrder', async (req, res) => {
 
     const BUDGET_SHEET_ID = userInfo.budgetSheetId;
 
-    const waitingResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Waiting for Approval',
-    });
-    const rows = waitingResp.data.values || [];
-    const now = new Date();
-
-    const rowsToClear = [];
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      const cell = row[0];
-      const date = !cell
-        ? null
-        : !isNaN(cell) && Number(cell) > 30000
-        ? serialToDate(Number(cell))
-        : new Date(cell);
-      if (!date || !isSameMonth(date, now)) continue;
-
-      const rowBranch = (row[1] || '').toString().trim();
-      if (rowBranch !== branchName) continue;
-
-      rowsToClear.push(i);
-    }
+    // Every waiting line of the branch waiting on this level, whatever its month
+    const lines = await getStorage().orders.list(BUDGET_SHEET_ID, 'waiting');
+    const linesToApprove = lines.filter(
+      (line) => line.branch === branchName && isAwaitingUser(line, userInfo)
+    );
 
-    if (rowsToClear.length === 0) {
+    if (linesToApprove.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'لا يوجد طلبات معلقة لهذا الفرع في هذا الشهر',
-      });
-    }
-
-    const appendValues = rowsToClear.map((idx) => {
-      const row = rows[idx] || [];
-      const get = (r, col) =>
-        r[col] !== undefined && r[col] !== null ? r[col] : '';
-      return [
-        get(row, 0),
-        get(row, 1),
-        get(row, 2),
-        get(row, 3),
-        get(row, 4),
-        get(row, 5),
-        get(row, 6),
-        get(row, 7),
-        get(row, 8),
-        get(row, 9),
-        get(row, 10),
-      ];
-    });
-
-    // write to Final Orders from column A
-    await appendRowsAtoK(sheets, BUDGET_SHEET_ID, 'Final Orders', appendValues);
-
-    const clearData = rowsToClear.map((idx) => ({
-      range: `Waiting for Approval!A${idx + 1}:K${idx + 1}`,
-      values: [['', '', '', '', '', '', '', '', '', '', '']],
-    }));
-    await sheets.spreadsheets.values.batchUpdate({
-      spreadsheetId: BUDGET_SHEET_ID,
-      resource: {
-        valueInputOption: 'USER_ENTERED',
-        data: clearData,
-      },
-    });
+        message: 'لا يوجد طلبات معلقة لهذا الفرع',
+      });
+    }
 
-    logDebug('Approved branch order', {
-      branchName,
-      items: rowsToClear.length,
-    });
-    res.json({ success: true });
+    // One order at a time, each re-read under its lock: another approver may
+    // have decided it since the list above was read
+    const orders = [];
+    let items = 0;
+    const serials = [...new Set(linesToApprove.map((line) => line.serial))];
+    for (const serial of serials) {
+      await withOrderLock(BUDGET_SHEET_ID, serial, async () => {
+        const current = (
+          await getStorage().orders.list(BUDGET_SHEET_ID, 'waiting')
+        ).filter(
+          (line) => line.serial === serial && isAwaitingUser(line, userInfo)
+        );
+        if (current.length === 0) return;
+        orders.push(
+          ...(await approveWaitingLines(
+            BUDGET_SHEET_ID,
+            current,
+            userInfo,
+            req.timezone,
+            { note: noteFromBody(req.body) }
+          ))
+        );
+        items += current.length;
+      });
+    }
+
+    logDebug('Approved branch order', { branchName, items, orders });
+    res.json({ success: true, orders });
   } catch (err) {
     logDebug('Error in approveBranchOrder', {
       error: err.message,
@@ -1047,30 +2829,20 @@ app.post('/api/approveBranchOrder', async (req, res) => {
 /* === [4e] NEW L2 endpoints used by current frontend (per-branch order)  === */
 /* ========================================================================== */
 
-// GET /api/pendingOrders?username=...
-app.get('/api/pendingOrders', async (req, res) => {
+// GET /api/pendingOrders (caller from session)
+// Query (optional): ?month=YYYY-MM or ?from=YYYY-MM-DD&to=YYYY-MM-DD; default: every waiting order
+// Each branch also gets waitingSince / ageHours / overdue / escalatedTo of its
+// longest-waiting order (see [2p]).
+app.get('/api/pendingOrders', requireSession, async (req, res) => {
   try {
-    const username = (req.query.username || '').trim();
-    if (!username) {
-      return res
-        .status(400)
-        .json({ success: false, message: 'Missing username' });
-    }
-
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-    const userInfo = await getUserInfoByUsername(
-      sheets,
-      credentialsSheetId,
-      username
-    );
-
-    if (!userInfo) {
+    const range = resolveDateRange(req.query, req.timezone);
+    if (!range) {
       return res
         .status(400)
-        .json({ success: false, message: 'المستخدم غير موجود' });
+        .json({ success: false, message: 'الفترة المحددة غير صحيحة' });
     }
-    if ((userInfo.level || '').toUpperCase() !== 'L2') {
+    const userInfo = req.user;
+    if (!isApprover(userInfo)) {
       return res.status(403).json({
         success: false,
         message: 'غير مسموح بالموافقة على الطلبات',
@@ -1079,35 +2851,27 @@ app.get('/api/pendingOrders', async (req, res) => {
 
     const BUDGET_SHEET_ID = userInfo.budgetSheetId;
 
-    const waitingResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Waiting for Approval',
-    });
-    const rows = waitingResp.data.values || [];
+    const lines = await getStorage().orders.list(BUDGET_SHEET_ID, 'waiting');
+    const waitingSinceBySerial = await getWaitingSinceBySerial(
+      BUDGET_SHEET_ID,
+      lines,
+      req.timezone
+    );
     const now = new Date();
 
     const ordersByBranch = {};
 
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      const cell = row[0];
-      const date = !cell
-        ? null
-        : !isNaN(cell) && Number(cell) > 30000
-        ? serialToDate(Number(cell))
-        : new Date(cell);
-      if (!date || !isSameMonth(date, now)) continue;
-
-      const branchName = (row[1] || '').toString().trim();
+    for (const line of lines) {
+      if (!isLineInPeriod(line, 'waiting', range)) continue;
+      if (!isAwaitingUser(line, userInfo)) continue;
+      const date = parseSheetDate(line.date, req.timezone);
+
+      const branchName = line.branch;
       if (!branchName) continue;
 
-      const requestedBy = (row[2] || '').toString().trim();
-      const productCode = row[3];
-      const productName = row[4];
-      const unitPrice = parseFloat(row[5]) || 0;
-      const qty = parseInt(row[8]) || 0;
-      const subtotal = parseFloat(row[6]) || unitPrice * qty;
-      const category = row[7] || '';
+      const requestedBy = line.username;
+      const { productCode, productName, unitPrice, subtotal, category } = line;
+      const qty = line.quantity;
 
       if (!ordersByBranch[branchName]) {
         ordersByBranch[branchName] = {
@@ -1116,10 +2880,18 @@ app.get('/api/pendingOrders', async (req, res) => {
           createdAt: date,
           requestors: new Set(),
           items: [],
+          sla: null, // of the order waiting longest
         };
       }
 
       const entry = ordersByBranch[branchName];
+      const sla = slaFields(
+        req.clientSettings,
+        line,
+        waitingSinceBySerial[line.serial],
+        now
+      );
+      if (!entry.sla || sla.ageHours > entry.sla.ageHours) entry.sla = sla;
       entry.total += subtotal;
       entry.items.push({
         productCode,
@@ -1145,9 +2917,7 @@ app.get('/api/pendingOrders', async (req, res) => {
           : 'أكثر من مستخدم';
 
       const createdAtStr = entry.createdAt
-        ? entry.createdAt.toLocaleString('sv-SE', {
-            timeZone: 'Africa/Cairo',
-          })
+        ? formatDateTime(entry.createdAt, req.timezone)
         : '';
 
       return {
@@ -1155,6 +2925,7 @@ app.get('/api/pendingOrders', async (req, res) => {
         branchName: entry.branchName,
         requestedBy,
         createdAt: createdAtStr,
+        ...entry.sla,
         total: entry.total,
         items: entry.items,
       };
@@ -1174,11 +2945,15 @@ app.get('/api/pendingOrders', async (req, res) => {
 });
 
 // POST /api/approveOrder
-// Body: { username, orderId } where orderId = "AA13__waiting"
-// OR:   { username, serial } where serial = "AA13" (treated as waiting)
-app.post('/api/approveOrder', async (req, res) => {
+// Body: { orderId } where orderId = "AA13__waiting"
+// OR:   { serial } where serial = "AA13" (treated as waiting)
+// Optional { note } for the approval.
+// Partial approval: + { productCodes: [...] } or { lineIds: [...] } = lines to
+// approve, and { reason } (required); the other lines go to Cancelled Orders
+// with the reason in their note, under the same serial.
+app.post('/api/approveOrder', requireSession, async (req, res) => {
   try {
-    const { username, orderId, serial } = req.body;
+    const { orderId, serial } = req.body;
 
     const composite = (orderId || serial || '').toString();
     const [serialRaw, statusRaw] = composite.split('__');
@@ -1186,7 +2961,7 @@ app.post('/api/approveOrder', async (req, res) => {
     let status = (statusRaw || '').trim().toLowerCase();
     if (!status) status = 'waiting';
 
-    if (!username || !orderSerial) {
+    if (!orderSerial) {
       return res
         .status(400)
         .json({ success: false, message: 'البيانات غير مكتملة' });
@@ -1199,20 +2974,8 @@ app.post('/api/approveOrder', async (req, res) => {
       });
     }
 
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-    const userInfo = await getUserInfoByUsername(
-      sheets,
-      credentialsSheetId,
-      username
-    );
-
-    if (!userInfo) {
-      return res
-        .status(400)
-        .json({ success: false, message: 'المستخدم غير موجود' });
-    }
-    if ((userInfo.level || '').toUpperCase() !== 'L2') {
+    const userInfo = req.user;
+    if (!isApprover(userInfo)) {
       return res.status(403).json({
         success: false,
         message: 'غير مسموح بالموافقة على الطلبات',
@@ -1220,76 +2983,21 @@ app.post('/api/approveOrder', async (req, res) => {
     }
 
     const BUDGET_SHEET_ID = userInfo.budgetSheetId;
-
-    const waitingResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Waiting for Approval',
-    });
-    const rows = waitingResp.data.values || [];
-    const now = new Date();
-
-    const rowsToClear = [];
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      const cell = row[0];
-      const date = !cell
-        ? null
-        : !isNaN(cell) && Number(cell) > 30000
-        ? serialToDate(Number(cell))
-        : new Date(cell);
-      if (!date || !isSameMonth(date, now)) continue;
-
-      const rowSerial = (row[10] || '').toString().trim();
-      if (rowSerial !== orderSerial) continue;
-
-      rowsToClear.push(i);
+    const result = await withOrderLock(BUDGET_SHEET_ID, orderSerial, () =>
+      approveWaitingOrder(req, orderSerial)
+    );
+    if (!result.success) {
+      const { httpStatus, ...body } = result;
+      return res.status(httpStatus || 400).json(body);
     }
 
-    if (rowsToClear.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'لا يوجد طلبات معلقة لهذا الرقم في هذا الشهر',
-      });
-    }
-
-    const appendValues = rowsToClear.map((idx) => {
-      const row = rows[idx] || [];
-      const get = (r, col) =>
-        r[col] !== undefined && r[col] !== null ? r[col] : '';
-      return [
-        get(row, 0),
-        get(row, 1),
-        get(row, 2),
-        get(row, 3),
-        get(row, 4),
-        get(row, 5),
-        get(row, 6),
-        get(row, 7),
-        get(row, 8),
-        get(row, 9),
-        get(row, 10),
-      ];
-    });
-
-    await appendRowsAtoK(sheets, BUDGET_SHEET_ID, 'Final Orders', appendValues);
-
-    const clearData = rowsToClear.map((idx) => ({
-      range: `Waiting for Approval!A${idx + 1}:K${idx + 1}`,
-      values: [['', '', '', '', '', '', '', '', '', '', '']],
-    }));
-    await sheets.spreadsheets.values.batchUpdate({
-      spreadsheetId: BUDGET_SHEET_ID,
-      resource: {
-        valueInputOption: 'USER_ENTERED',
-        data: clearData,
-      },
-    });
-
     logDebug('Approved order via /api/approveOrder', {
       orderSerial,
-      items: rowsToClear.length,
+      items: result.approvedLines,
+      rejected: result.rejectedLines,
+      nextStep: result.approvalStep,
     });
-    res.json({ success: true });
+    res.json(result);
   } catch (err) {
     logDebug('Error in approveOrder', {
       error: err.message,
@@ -1301,20 +3009,130 @@ app.post('/api/approveOrder', async (req, res) => {
     });
   }
 });
+
+// Approval (or partial approval) of one waiting order; runs under the order
+// lock, so the lines are read here (see approveOrder)
+async function approveWaitingOrder(req, orderSerial) {
+  const userInfo = req.user;
+  const { productCodes, lineIds, reason, note } = req.body;
+  const BUDGET_SHEET_ID = userInfo.budgetSheetId;
+
+  // Serials are unique, so the waiting order is found whatever its month
+  const lines = await getStorage().orders.list(BUDGET_SHEET_ID, 'waiting');
+  let linesToApprove = lines.filter((line) => line.serial === orderSerial);
+
+  if (linesToApprove.length === 0) {
+    return { success: false, message: 'لا يوجد طلبات معلقة لهذا الرقم' };
+  }
+  if (!isAwaitingUser(linesToApprove[0], userInfo)) {
+    return {
+      success: false,
+      httpStatus: 403,
+      message: isBranchInScope(userInfo, linesToApprove[0].branch)
+        ? `هذا الطلب بانتظار موافقة المستوى ${awaitedStep(
+            linesToApprove[0]
+          )}`
+        : 'غير مسموح لك باعتماد طلبات هذا الفرع',
+    };
+  }
+
+  // Partial approval: split into approved / rejected lines
+  let linesToReject = [];
+  if (Array.isArray(productCodes) || Array.isArray(lineIds)) {
+    const codes = new Set((productCodes || []).map((c) => String(c)));
+    const ids = new Set((lineIds || []).map((id) => String(id)));
+    const selected = (line) =>
+      codes.has(String(line.productCode)) || ids.has(String(line.lineId));
+    linesToReject = linesToApprove.filter((line) => !selected(line));
+    linesToApprove = linesToApprove.filter(selected);
+
+    if (linesToApprove.length === 0) {
+      return {
+        success: false,
+        message: 'لم يتم اختيار أي بند للاعتماد، استخدم إلغاء الطلب بدلاً من ذلك',
+      };
+    }
+  }
+
+  if (linesToReject.length > 0) {
+    const rejectReason = (reason || '').toString().trim();
+    if (!rejectReason) {
+      return { success: false, message: 'يجب كتابة سبب استبعاد البنود' };
+    }
+    const rejectNote = await addOrderNote(
+      BUDGET_SHEET_ID,
+      orderSerial,
+      'reject',
+      userInfo,
+      `${rejectReason} (${linesToReject.map((l) => l.productCode).join(', ')})`,
+      req.timezone
+    );
+    await moveOrderLines(
+      BUDGET_SHEET_ID,
+      'waiting',
+      'cancelled',
+      linesToReject.map((l) => ({ ...l, approvalStep: '', note: rejectNote }))
+    );
+    await recordAudit(
+      BUDGET_SHEET_ID,
+      userInfo,
+      req.timezone,
+      linesToReject.map((l) => ({
+        serial: orderSerial,
+        action: 'reject',
+        productCode: l.productCode,
+        before: l.quantity,
+        after: 0,
+        details: rejectReason + onBehalfOf(l, userInfo),
+      }))
+    );
+    notifyOrderEvent(BUDGET_SHEET_ID, userInfo, 'rejected', {
+      serial: orderSerial,
+      status: 'cancelled',
+      lines: linesToReject,
+      approvalStep: '',
+      note: rejectReason,
+    });
+  }
+
+  const [result] = await approveWaitingLines(
+    BUDGET_SHEET_ID,
+    linesToApprove,
+    userInfo,
+    req.timezone,
+    {
+      decision: linesToReject.length > 0 ? 'partially approved' : 'approved',
+      note: (note || '').toString().trim(),
+    }
+  );
+
+  return {
+    success: true,
+    approvalStep: result.approvalStep,
+    approvedLines: linesToApprove.length,
+    rejectedLines: linesToReject.length,
+  };
+}
+
 /* ========================================================================== */
 /* === [4f] NEW L2 endpoints: update & cancel waiting orders               === */
 /* ========================================================================== */
 
 /**
  * POST /api/updateWaitingOrder
- * Body: { username, orderId, items }
+ * Body: { orderId, items }
  * - orderId: "AA13__waiting" OR just "AA13"
- * - items: [{ productCode, quantity }, ...]
- * Only affects rows in "Waiting for Approval" with this serial (current month).
+ * - items: [{ productCode, quantity }, ...] – quantity 0 removes the line, a
+ *   product not yet in the order is added at its catalog price
+ * - note (optional): why the order was changed
+ * Only affects waiting lines with this serial (whatever their month). Allowed
+ * for the approver the order waits on and for its own branch (see
+ * waitingOrderAccessError). The approval chain follows the edited total
+ * (rechainWaitingOrder); the response carries the step it now waits on.
  */
-app.post('/api/updateWaitingOrder', async (req, res) => {
+app.post('/api/updateWaitingOrder', requireSession, async (req, res) => {
   try {
-    const { username, orderId, items } = req.body;
+    const { orderId, items } = req.body;
 
     const composite = (orderId || '').toString();
     const [serialRaw, statusRaw] = composite.split('__');
@@ -1322,12 +3140,7 @@ app.post('/api/updateWaitingOrder', async (req, res) => {
     let status = (statusRaw || '').trim().toLowerCase();
     if (!status) status = 'waiting';
 
-    if (
-      !username ||
-      !orderSerial ||
-      !Array.isArray(items) ||
-      items.length === 0
-    ) {
+    if (!orderSerial || !Array.isArray(items) || items.length === 0) {
       return res
         .status(400)
         .json({ success: false, message: 'البيانات غير مكتملة' });
@@ -1340,91 +3153,38 @@ app.post('/api/updateWaitingOrder', async (req, res) => {
       });
     }
 
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-    const userInfo = await getUserInfoByUsername(
-      sheets,
-      credentialsSheetId,
-      username
-    );
-
-    if (!userInfo) {
-      return res
-        .status(400)
-        .json({ success: false, message: 'المستخدم غير موجود' });
-    }
-    if ((userInfo.level || '').toUpperCase() !== 'L2') {
-      return res.status(403).json({
-        success: false,
-        message: 'غير مسموح بتعديل الطلبات',
-      });
-    }
-
+    const userInfo = req.user;
     const BUDGET_SHEET_ID = userInfo.budgetSheetId;
 
-    const waitingResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Waiting for Approval',
-    });
-    const rows = waitingResp.data.values || [];
-    const now = new Date();
-
-    // index rows by productCode for this serial (current month)
-    const index = {};
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      const cell = row[0];
-      const date = !cell
-        ? null
-        : !isNaN(cell) && Number(cell) > 30000
-        ? serialToDate(Number(cell))
-        : new Date(cell);
-      if (!date || !isSameMonth(date, now)) continue;
-
-      const rowSerial = (row[10] || '').toString().trim();
-      if (rowSerial !== orderSerial) continue;
-
-      const code = row[3];
-      if (!code) continue;
-      index[code] = i; // 0-based row index
-    }
-
-    const batch = [];
-    for (const item of items) {
-      const code = item.productCode;
-      if (!code || index[code] === undefined) continue;
-
-      const rowIdx = index[code];
-      const row = rows[rowIdx];
-      const unitPrice = parseFloat(row[5]) || 0;
-      const qty = Math.max(0, parseInt(item.quantity) || 0);
-      const subtotal = unitPrice * qty;
-      const excelRow = rowIdx + 1; // 1-based
-
-      batch.push(
-        { range: `Waiting for Approval!I${excelRow}`, values: [[qty]] },
-        { range: `Waiting for Approval!G${excelRow}`, values: [[subtotal]] }
-      );
-    }
-
-    if (batch.length === 0) {
+    const orderLines = (
+      await getStorage().orders.list(BUDGET_SHEET_ID, 'waiting')
+    ).filter((line) => line.serial === orderSerial);
+    if (orderLines.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'لم يتم العثور على بنود لتعديلها',
+        message: 'لا يوجد طلبات معلقة لهذا الرقم',
       });
     }
+    const accessError = waitingOrderAccessError(userInfo, orderLines[0]);
+    if (accessError) {
+      return res.status(403).json({ success: false, message: accessError });
+    }
 
-    await sheets.spreadsheets.values.batchUpdate({
-      spreadsheetId: BUDGET_SHEET_ID,
-      resource: { valueInputOption: 'USER_ENTERED', data: batch },
-    });
-
-    logDebug('Updated waiting order via /api/updateWaitingOrder', {
-      orderSerial,
-      updatedLines: batch.length / 2,
-    });
+    // Same lock as submitOrder (edits count against the branch's budget), then
+    // the order's own lock against a concurrent approval or cancellation
+    const result = await budgetLock.runExclusive(
+      `${BUDGET_SHEET_ID}::${orderLines[0].branch}`,
+      () =>
+        withOrderLock(BUDGET_SHEET_ID, orderSerial, () =>
+          saveWaitingOrderEdit(req, orderSerial, items)
+        )
+    );
+    if (!result.success) {
+      const { httpStatus, ...body } = result;
+      return res.status(httpStatus || 400).json(body);
+    }
 
-    res.json({ success: true });
+    res.json(result);
   } catch (err) {
     logDebug('Error in updateWaitingOrder', {
       error: err.message,
@@ -1437,15 +3197,333 @@ app.post('/api/updateWaitingOrder', async (req, res) => {
   }
 });
 
+// Applies an edit of one waiting order; runs under budgetLock.
+// Returns the JSON body ({ success: false, httpStatus?, ... } on refusal).
+async function saveWaitingOrderEdit(req, orderSerial, items) {
+  const userInfo = req.user;
+  const storage = getStorage();
+  const BUDGET_SHEET_ID = userInfo.budgetSheetId;
+
+  // Re-read under the lock: the order may have been approved meanwhile
+  const lines = (await storage.orders.list(BUDGET_SHEET_ID, 'waiting')).filter(
+    (line) => line.serial === orderSerial
+  );
+  if (lines.length === 0) {
+    return { success: false, message: 'لا يوجد طلبات معلقة لهذا الرقم' };
+  }
+  const accessError = waitingOrderAccessError(userInfo, lines[0]);
+  if (accessError) {
+    return { success: false, httpStatus: 403, message: accessError };
+  }
+
+  // index lines by productCode for this serial (any month)
+  const index = {};
+  lines.forEach((line) => {
+    if (line.productCode) index[line.productCode] = line;
+  });
+  const firstLine = lines[0];
+
+  const catalog = {};
+  (await storage.catalog.list(BUDGET_SHEET_ID)).forEach((p) => {
+    catalog[p.code] = p;
+  });
+
+  const updates = [];
+  const removals = [];
+  const additions = [];
+  const extraByCode = {};
+  for (const item of items) {
+    if (!item.productCode || item.productCode in extraByCode) continue;
+    const qty = Math.max(0, parseInt(item.quantity) || 0);
+    const line = index[item.productCode];
+
+    if (line) {
+      extraByCode[line.productCode] = qty - line.quantity;
+      if (qty === 0) {
+        removals.push(line);
+      } else if (qty !== line.quantity) {
+        updates.push({
+          lineId: line.lineId,
+          quantity: qty,
+          subtotal: line.unitPrice * qty,
+        });
+      }
+      continue;
+    }
+
+    if (qty === 0) continue;
+    const product = catalog[item.productCode];
+    if (!product) {
+      return {
+        success: false,
+        message: `الصنف ${item.productCode} غير موجود في قائمة المنتجات`,
+      };
+    }
+    extraByCode[product.code] = qty;
+    additions.push({
+      date: firstLine.date,
+      branch: firstLine.branch,
+      username: firstLine.username,
+      productCode: product.code,
+      productName: product.name,
+      unitPrice: product.price,
+      subtotal: product.price * qty,
+      category: product.category || '',
+      quantity: qty,
+      note: '',
+      serial: orderSerial,
+      approvalStep: firstLine.approvalStep,
+      approvalChain: firstLine.approvalChain,
+      escalatedTo: firstLine.escalatedTo || '',
+    });
+  }
+
+  if (updates.length + removals.length + additions.length === 0) {
+    return { success: false, message: 'لم يتم العثور على بنود لتعديلها' };
+  }
+  if (removals.length === lines.length && additions.length === 0) {
+    return {
+      success: false,
+      message: 'لا يمكن حذف كل بنود الطلب، استخدم إلغاء / سحب الطلب بدلاً من ذلك',
+    };
+  }
+
+  // Increases count against the branch's caps, paper quota and budget for
+  // the order's month
+  const orderDate = parseSheetDate(firstLine.date, req.timezone) || new Date();
+  const month = yearMonthOf(orderDate, req.timezone);
+  const violations = findQuantityViolations(
+    await getProductAllowances(
+      BUDGET_SHEET_ID,
+      firstLine.branch,
+      month,
+      req.timezone
+    ),
+    extraByCode
+  );
+  if (violations.length > 0 && isQuantityLimitBlocking(req.clientSettings)) {
+    return {
+      success: false,
+      code: 'QUANTITY_LIMIT_EXCEEDED',
+      message: `الكمية تتجاوز الحد الأقصى الشهري للأصناف: ${violations
+        .map((v) => `${v.productCode} (المتبقي ${v.remainingQty})`)
+        .join('، ')}`,
+      violations,
+    };
+  }
+
+  if (userInfo.paperMode) {
+    const isPaperLine = await getPaperLineFilter(
+      BUDGET_SHEET_ID,
+      req.clientSettings
+    );
+    const extraPaper = Object.keys(extraByCode)
+      .filter((code) => isPaperLine(index[code] || catalog[code]))
+      .reduce((sum, code) => sum + extraByCode[code], 0);
+    const paper = await getPaperUsage(
+      BUDGET_SHEET_ID,
+      firstLine.branch,
+      month,
+      req.timezone,
+      req.clientSettings
+    );
+    if (paper && extraPaper > 0 && extraPaper > paper.remaining) {
+      return {
+        success: false,
+        code: 'PAPER_QUOTA_EXCEEDED',
+        message: `كمية الورق الإضافية (${extraPaper}) تتجاوز المتبقي من حصة الفرع الشهرية (${Math.max(
+          0,
+          paper.remaining
+        )})`,
+        paper,
+      };
+    }
+  }
+
+  const extraTotal =
+    updates.reduce((sum, u) => {
+      const line = lines.find((l) => l.lineId === u.lineId);
+      return sum + u.subtotal - line.subtotal;
+    }, 0) +
+    additions.reduce((sum, l) => sum + l.subtotal, 0) -
+    removals.reduce((sum, l) => sum + l.subtotal, 0);
+  if (
+    extraTotal > 0 &&
+    (req.clientSettings.BudgetMode || '').toLowerCase() === 'block'
+  ) {
+    const budget = await getBranchBudget(
+      BUDGET_SHEET_ID,
+      firstLine.branch,
+      month,
+      req.timezone
+    );
+    if (budget && extraTotal > budget.remaining) {
+      return {
+        success: false,
+        code: 'BUDGET_EXCEEDED',
+        message: `التعديل يتجاوز الميزانية المتبقية للفرع (${budget.remaining.toFixed(
+          2
+        )})`,
+        budget,
+      };
+    }
+  }
+
+  // The new total may fall in another ApprovalRoutes band: every line of the
+  // order then waits on the step of the new chain
+  const removedIds = new Set(removals.map((l) => l.lineId));
+  const newTotal =
+    lines
+      .filter((l) => !removedIds.has(l.lineId))
+      .reduce((sum, l) => {
+        const update = updates.find((u) => u.lineId === l.lineId);
+        const price = Number(catalog[l.productCode]?.price ?? l.unitPrice) || 0;
+        return sum + price * (update ? update.quantity : l.quantity);
+      }, 0) + additions.reduce((sum, l) => sum + l.subtotal, 0);
+  const rechained = rechainWaitingOrder(
+    req.clientSettings,
+    firstLine,
+    newTotal
+  );
+  const chainChanged =
+    rechained.approvalStep !== awaitedStep(firstLine) ||
+    rechained.approvalChain !== (firstLine.approvalChain || '');
+  const stepUpdates = []; // lines whose quantity is unchanged
+  if (chainChanged) {
+    const stepFields = {
+      ...rechained,
+      ...(rechained.approvalStep !== awaitedStep(firstLine)
+        ? { escalatedTo: '' }
+        : {}),
+    };
+    lines
+      .filter((l) => !removedIds.has(l.lineId))
+      .forEach((l) => {
+        const update = updates.find((u) => u.lineId === l.lineId);
+        if (update) Object.assign(update, stepFields);
+        else stepUpdates.push({ lineId: l.lineId, ...stepFields });
+      });
+    additions.forEach((l) => Object.assign(l, stepFields));
+  }
+
+  const overLimitCodes = new Set(violations.map((v) => v.productCode));
+  updates.forEach((u) => {
+    const line = lines.find((l) => l.lineId === u.lineId);
+    if (overLimitCodes.has(line.productCode)) u.note = OVER_LIMIT_NOTE;
+  });
+  additions.forEach((l) => {
+    if (overLimitCodes.has(l.productCode)) l.note = OVER_LIMIT_NOTE;
+  });
+
+  const editNote = noteFromBody(req.body);
+  if (editNote) {
+    const lineNote = await addOrderNote(
+      BUDGET_SHEET_ID,
+      orderSerial,
+      'edit',
+      userInfo,
+      editNote,
+      req.timezone
+    );
+    updates.forEach((u) => {
+      u.note = u.note ? `${u.note} | ${lineNote}` : lineNote;
+    });
+    additions.forEach((l) => {
+      l.note = l.note ? `${l.note} | ${lineNote}` : lineNote;
+    });
+  }
+
+  if (updates.length + stepUpdates.length > 0) {
+    await storage.orders.update(BUDGET_SHEET_ID, 'waiting', [
+      ...updates,
+      ...stepUpdates,
+    ]);
+  }
+  if (additions.length > 0) {
+    await storage.orders.append(BUDGET_SHEET_ID, 'waiting', additions);
+  }
+  if (removals.length > 0) {
+    await storage.orders.remove(
+      BUDGET_SHEET_ID,
+      'waiting',
+      removals.map((l) => l.lineId)
+    );
+  }
+  await recordAudit(
+    BUDGET_SHEET_ID,
+    userInfo,
+    req.timezone,
+    [
+      ...updates.map((u) => {
+        const line = lines.find((l) => l.lineId === u.lineId);
+        return {
+          productCode: line.productCode,
+          before: line.quantity,
+          after: u.quantity,
+        };
+      }),
+      ...additions.map((l) => ({
+        productCode: l.productCode,
+        before: 0,
+        after: l.quantity,
+      })),
+      ...removals.map((l) => ({
+        productCode: l.productCode,
+        before: l.quantity,
+        after: 0,
+      })),
+    ]
+      .map((e) => ({
+        ...e,
+        serial: orderSerial,
+        action: 'edit',
+        details: editNote,
+      }))
+      .concat(
+        chainChanged
+          ? [
+              {
+                serial: orderSerial,
+                action: 'edit',
+                details: `${firstLine.approvalChain || awaitedStep(
+                  firstLine
+                )} -> ${rechained.approvalChain} (${rechained.approvalStep})`,
+              },
+            ]
+          : []
+      )
+  );
+  notifyOrderEvent(BUDGET_SHEET_ID, userInfo, 'edited', {
+    serial: orderSerial,
+    status: 'waiting',
+    note: editNote,
+  });
+
+  logDebug('Updated waiting order via /api/updateWaitingOrder', {
+    orderSerial,
+    updatedLines: updates.length,
+    addedLines: additions.length,
+    removedLines: removals.length,
+    approvalChain: rechained.approvalChain,
+  });
+
+  const result = { success: true, approvalStep: rechained.approvalStep };
+  if (violations.length > 0) result.limitWarnings = violations;
+  return result;
+}
+
 /**
  * POST /api/cancelOrder
- * Body: { username, orderId }
+ * Body: { orderId, reason }
  * - orderId: "AA13__waiting" OR just "AA13"
- * Moves rows from "Waiting for Approval" to "Cancelled Orders".
+ * - reason ("note" also accepted): stored with the cancelled lines; required
+ *   from approvers, optional when the branch withdraws its own order
+ * Moves the lines from waiting to cancelled ("Cancelled Orders"). Allowed for
+ * the approver the order waits on and for its own branch.
  */
-app.post('/api/cancelOrder', async (req, res) => {
+app.post('/api/cancelOrder', requireSession, async (req, res) => {
   try {
-    const { username, orderId } = req.body;
+    const { orderId } = req.body;
 
     const composite = (orderId || '').toString();
     const [serialRaw, statusRaw] = composite.split('__');
@@ -1453,135 +3531,254 @@ app.post('/api/cancelOrder', async (req, res) => {
     let status = (statusRaw || '').trim().toLowerCase();
     if (!status) status = 'waiting';
 
-    if (!username || !orderSerial) {
+    if (!orderSerial) {
       return res
         .status(400)
         .json({ success: false, message: 'البيانات غير مكتملة' });
     }
 
-    if (status !== 'waiting') {
-      return res.status(400).json({
-        success: false,
-        message: 'لا يمكن إلغاء طلب بهذه الحالة',
-      });
-    }
+    if (status !== 'waiting') {
+      return res.status(400).json({
+        success: false,
+        message: 'لا يمكن إلغاء طلب بهذه الحالة',
+      });
+    }
+
+    const result = await withOrderLock(req.user.budgetSheetId, orderSerial, () =>
+      cancelWaitingOrder(req, orderSerial)
+    );
+    if (!result.success) {
+      const { httpStatus, ...body } = result;
+      return res.status(httpStatus || 400).json(body);
+    }
+
+    logDebug('Cancelled order via /api/cancelOrder', {
+      orderSerial,
+      items: result.items,
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    logDebug('Error in cancelOrder', {
+      error: err.message,
+      stack: err.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء إلغاء الطلب',
+    });
+  }
+});
+
+// Cancellation of one waiting order; runs under the order lock, so the lines
+// are read here (see cancelOrder)
+async function cancelWaitingOrder(req, orderSerial) {
+  const userInfo = req.user;
+  const BUDGET_SHEET_ID = userInfo.budgetSheetId;
+
+  // Serials are unique, so the waiting order is found whatever its month
+  const lines = await getStorage().orders.list(BUDGET_SHEET_ID, 'waiting');
+  const linesToMove = lines.filter((line) => line.serial === orderSerial);
+
+  if (linesToMove.length === 0) {
+    return { success: false, message: 'لا يوجد طلبات معلقة لهذا الرقم' };
+  }
+  const accessError = waitingOrderAccessError(userInfo, linesToMove[0]);
+  if (accessError) {
+    return { success: false, httpStatus: 403, message: accessError };
+  }
+
+  // The branch withdrawing its own order needs no reason; approvers do
+  const withdrawn = !(
+    isApprover(userInfo) && isAwaitingUser(linesToMove[0], userInfo)
+  );
+  const cancelReason =
+    noteFromBody(req.body) || (withdrawn ? 'سحب الطلب بواسطة الفرع' : '');
+  if (!cancelReason) {
+    return { success: false, message: 'يجب كتابة سبب الإلغاء' };
+  }
+
+  const lineNote = await addOrderNote(
+    BUDGET_SHEET_ID,
+    orderSerial,
+    withdrawn ? 'withdraw' : 'cancel',
+    userInfo,
+    cancelReason,
+    req.timezone
+  );
+  await moveOrderLines(
+    BUDGET_SHEET_ID,
+    'waiting',
+    'cancelled',
+    linesToMove.map((l) => ({ ...l, approvalStep: '', note: lineNote }))
+  );
+  await recordAudit(BUDGET_SHEET_ID, userInfo, req.timezone, [
+    {
+      serial: orderSerial,
+      action: withdrawn ? 'withdraw' : 'cancel',
+      details: `${linesToMove.length} lines: ${cancelReason}${onBehalfOf(
+        linesToMove[0],
+        userInfo
+      )}`,
+    },
+  ]);
+  notifyOrderEvent(
+    BUDGET_SHEET_ID,
+    userInfo,
+    withdrawn ? 'withdrawn' : 'cancelled',
+    {
+      serial: orderSerial,
+      status: 'cancelled',
+      lines: linesToMove,
+      approvalStep: awaitedStep(linesToMove[0]),
+      note: cancelReason,
+    }
+  );
+
+  return { success: true, items: linesToMove.length };
+}
 
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-    const userInfo = await getUserInfoByUsername(
-      sheets,
-      credentialsSheetId,
-      username
-    );
 
-    if (!userInfo) {
+/* ========================================================================== */
+/* === [4g] Branch users: "My orders" (own branch only)                    === */
+/* ========================================================================== */
+/**
+ * GET /api/myOrders (+ optional month / from / to, as in ordersSummary)
+ * Every order of the session user's own branch (all statuses, one entry per
+ * serial, newest first); never another branch, whatever the level. Users
+ * without a branch only get the orders they submitted themselves.
+ * Approved quantities are net of signed-off returns.
+ */
+app.get('/api/myOrders', requireSession, async (req, res) => {
+  try {
+    const userInfo = req.user;
+    const BUDGET_SHEET_ID = userInfo.budgetSheetId;
+    const branchName = (userInfo.branch || '').trim();
+    const range = resolveDateRange(req.query, req.timezone);
+    if (!range) {
       return res
         .status(400)
-        .json({ success: false, message: 'المستخدم غير موجود' });
-    }
-    if ((userInfo.level || '').toUpperCase() !== 'L2') {
-      return res.status(403).json({
-        success: false,
-        message: 'غير مسموح بإلغاء الطلبات',
-      });
+        .json({ success: false, message: 'الفترة المحددة غير صحيحة' });
     }
 
-    const BUDGET_SHEET_ID = userInfo.budgetSheetId;
-
-    const waitingResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Waiting for Approval',
-    });
-    const rows = waitingResp.data.values || [];
-    const now = new Date();
-
-    const rowsToClear = [];
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      const cell = row[0];
-      const date = !cell
-        ? null
-        : !isNaN(cell) && Number(cell) > 30000
-        ? serialToDate(Number(cell))
-        : new Date(cell);
-      if (!date || !isSameMonth(date, now)) continue;
-
-      const rowSerial = (row[10] || '').toString().trim();
-      if (rowSerial !== orderSerial) continue;
+    const storage = getStorage();
+    const isOwn = (line) =>
+      branchName
+        ? line.branch === branchName
+        : line.username === userInfo.username;
 
-      rowsToClear.push(i);
+    const ordersMap = {};
+    function processLines(lines, status) {
+      for (const line of lines) {
+        if (!line.serial || !isOwn(line)) continue;
+        if (!isLineInPeriod(line, status, range)) continue;
+        const date = parseSheetDate(line.date, req.timezone);
+
+        if (!ordersMap[line.serial]) {
+          ordersMap[line.serial] = {
+            serial: line.serial,
+            branchName: line.branch,
+            submittedBy: line.username,
+            createdAt: date,
+            statuses: new Set(),
+            approvalStep: null,
+            items: [],
+          };
+        }
+        const entry = ordersMap[line.serial];
+        entry.statuses.add(status);
+        if (status === 'waiting') entry.approvalStep = awaitedStep(line);
+        if (date && (!entry.createdAt || date < entry.createdAt)) {
+          entry.createdAt = date;
+        }
+        entry.items.push({
+          status,
+          productCode: line.productCode,
+          productName: line.productName,
+          unitPrice: line.unitPrice,
+          quantity: line.quantity,
+          subtotal: line.subtotal,
+          returnedQty: line.returnedQty || 0,
+          note: line.note,
+        });
+      }
     }
 
-    if (rowsToClear.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'لا يوجد طلبات معلقة لهذا الرقم في هذا الشهر',
-      });
-    }
-
-    const appendValues = rowsToClear.map((idx) => {
-      const row = rows[idx] || [];
-      const get = (r, col) =>
-        r[col] !== undefined && r[col] !== null ? r[col] : '';
-      return [
-        get(row, 0),
-        get(row, 1),
-        get(row, 2),
-        get(row, 3),
-        get(row, 4),
-        get(row, 5),
-        get(row, 6),
-        get(row, 7),
-        get(row, 8),
-        get(row, 9),
-        get(row, 10),
-      ];
-    });
-
-    await appendRowsAtoK(
-      sheets,
-      BUDGET_SHEET_ID,
-      'Cancelled Orders',
-      appendValues
+    processLines(
+      await storage.orders.list(BUDGET_SHEET_ID, 'waiting'),
+      'waiting'
+    );
+    processLines(
+      netFinalLines(
+        await storage.orders.list(BUDGET_SHEET_ID, 'approved'),
+        await getReturnedUnits(BUDGET_SHEET_ID)
+      ),
+      'approved'
+    );
+    processLines(
+      await storage.orders.list(BUDGET_SHEET_ID, 'cancelled'),
+      'cancelled'
     );
 
-    const clearData = rowsToClear.map((idx) => ({
-      range: `Waiting for Approval!A${idx + 1}:K${idx + 1}`,
-      values: [['', '', '', '', '', '', '', '', '', '', '']],
-    }));
-    await sheets.spreadsheets.values.batchUpdate({
-      spreadsheetId: BUDGET_SHEET_ID,
-      resource: {
-        valueInputOption: 'USER_ENTERED',
-        data: clearData,
-      },
-    });
-
-    logDebug('Cancelled order via /api/cancelOrder', {
-      orderSerial,
-      items: rowsToClear.length,
-    });
+    const serials = Object.keys(ordersMap);
+    const notesBySerial = await getOrderNotesBySerial(BUDGET_SHEET_ID, serials);
+    const fulfilmentBySerial = await getFulfilmentBySerial(
+      BUDGET_SHEET_ID,
+      serials
+    );
+    const returnsBySerial = await getReturnsBySerial(BUDGET_SHEET_ID, serials);
+
+    const orders = Object.values(ordersMap)
+      .map((entry) => {
+        // A serial can be split (partial approval): waiting wins, then approved
+        const status = entry.statuses.has('waiting')
+          ? 'Waiting'
+          : entry.statuses.has('approved')
+          ? 'Approved'
+          : 'Cancelled';
+        const active = entry.items.filter((i) => i.status !== 'cancelled');
+        const total = (active.length ? active : entry.items).reduce(
+          (sum, i) => sum + (Number(i.subtotal) || 0),
+          0
+        );
+        return {
+          serial: entry.serial,
+          branchName: entry.branchName,
+          status,
+          partial:
+            entry.statuses.has('approved') && entry.statuses.has('cancelled'),
+          approvalStep: entry.approvalStep,
+          submittedBy: entry.submittedBy,
+          mine: entry.submittedBy === userInfo.username,
+          createdAt: entry.createdAt
+            ? formatDateTime(entry.createdAt, req.timezone)
+            : '',
+          total,
+          items: entry.items,
+          notes: notesBySerial[entry.serial] || [],
+          fulfilment: fulfilmentBySerial[entry.serial] || null,
+          returns: returnsBySerial[entry.serial] || [],
+        };
+      })
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
 
-    res.json({ success: true });
+    res.json({ success: true, branchName, orders });
   } catch (err) {
-    logDebug('Error in cancelOrder', {
-      error: err.message,
-      stack: err.stack,
-    });
+    logDebug('Error in myOrders', { error: err.message, stack: err.stack });
     res.status(500).json({
       success: false,
-      message: 'حدث خطأ أثناء إلغاء الطلب',
+      message: 'حدث خطأ أثناء تحميل طلباتك',
     });
   }
 });
 
-
 /* ========================================================================== */
-/* === [5] Submit Order Endpoint (L1 -> Waiting, L2 -> Final)             === */
+/* === [5] Submit Order Endpoint (Waiting on the first pending step, or Final) === */
 /* ========================================================================== */
-app.post('/api/submitOrder', async (req, res) => {
+app.post('/api/submitOrder', requireSession, async (req, res) => {
   try {
-    const { branchName, orderItems, userType, username } = req.body;
+    const { branchName, orderItems, userType } = req.body;
+    const username = req.user.username;
     logDebug('Received submitOrder', {
       branchName,
       userType,
@@ -1600,75 +3797,25 @@ app.post('/api/submitOrder', async (req, res) => {
       });
     }
 
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
+    const userInfo = req.user;
+    const BUDGET_SHEET_ID = userInfo.budgetSheetId;
 
-    const userInfo = await getUserInfoByUsername(
-      sheets,
-      credentialsSheetId,
-      username
-    );
-    if (!userInfo) {
-      return res.status(400).json({
+    if (!canActForBranch(userInfo, branchName)) {
+      return res.status(403).json({
         success: false,
-        message: 'بيانات المستخدم غير صحيحة',
+        message: 'غير مسموح لك بالطلب لهذا الفرع',
       });
     }
 
-    const BUDGET_SHEET_ID = userInfo.budgetSheetId;
-    const userLevel = (userInfo.level || 'L1').toUpperCase();
-
-    if (userLevel !== 'L2') {
-      const userBranch = (userInfo.branch || '').trim();
-      if (userBranch && userBranch !== branchName) {
-        return res.status(403).json({
-          success: false,
-          message: 'غير مسموح لك بالطلب لهذا الفرع',
-        });
-      }
-    }
-
-    const targetSheet =
-      userLevel === 'L2' ? 'Final Orders' : 'Waiting for Approval';
-
-    const orderSerial = await getNextOrderSerial(sheets, BUDGET_SHEET_ID);
-
-    const now = new Date();
-    const dateString = now
-      .toLocaleString('sv-SE', { timeZone: 'Africa/Cairo' })
-      .replace('T', ' ');
-
-    const appendValues = orderItems.map((i) => {
-      const price = Number(i.unitPrice) || 0;
-      const qty = Number(i.quantity) || 0;
-      const subtotal =
-        typeof i.subtotal === 'number' ? i.subtotal : price * qty;
-      const cat = i.category || '';
-      return [
-        dateString,
-        branchName,
-        username,
-        i.productCode,
-        i.productName,
-        price,
-        subtotal,
-        cat,
-        qty,
-        '',
-        orderSerial,
-      ];
-    });
-
-    await appendRowsAtoK(sheets, BUDGET_SHEET_ID, targetSheet, appendValues);
-
-    logDebug('submitOrder saved lines with serial in column K', {
-      branchName,
-      targetSheet,
-      lines: appendValues.length,
-      orderSerial,
-    });
+    // Budget / quantity checks and the append run under one lock per branch, so
+    // two orders cannot both pass the checks against the same remaining amount
+    const result = await budgetLock.runExclusive(
+      `${BUDGET_SHEET_ID}::${branchName}`,
+      () => saveSubmittedOrder(req, branchName, orderItems)
+    );
+    if (!result.success) return res.status(400).json(result);
 
-    res.json({ success: true, orderSerial });
+    res.json(result);
   } catch (err) {
     logDebug('Error submitting order', {
       error: err.message,
@@ -1681,12 +3828,237 @@ app.post('/api/submitOrder', async (req, res) => {
   }
 });
 
+// Checks, serial, lines and approval steps of one submission (see submitOrder)
+async function saveSubmittedOrder(req, branchName, orderItems) {
+  const userInfo = req.user;
+  const username = userInfo.username;
+  const BUDGET_SHEET_ID = userInfo.budgetSheetId;
+  const userLevel = (userInfo.level || 'L1').toUpperCase();
+
+  // Prices come from the catalog, never from the client: the total picks the
+  // approval chain ([2g]) and is checked against the budget ([2h])
+  const catalog = {};
+  (await getStorage().catalog.list(BUDGET_SHEET_ID)).forEach((p) => {
+    catalog[p.code] = p;
+  });
+  for (const item of orderItems) {
+    const qty = Number(item.quantity);
+    if (!Number.isInteger(qty) || qty < 1) {
+      return {
+        success: false,
+        message: `الكمية المطلوبة للصنف ${item.productCode} غير صحيحة`,
+      };
+    }
+    if (!catalog[item.productCode]) {
+      return {
+        success: false,
+        message: `الصنف ${item.productCode} غير موجود في قائمة المنتجات`,
+      };
+    }
+  }
+  const orderTotal = orderItems.reduce((sum, i) => {
+    const price = Number(catalog[i.productCode]?.price) || 0;
+    return sum + price * (Number(i.quantity) || 0);
+  }, 0);
+
+  const month = yearMonthOf(new Date(), req.timezone);
+
+  const requestedByCode = {};
+  orderItems.forEach((i) => {
+    requestedByCode[i.productCode] =
+      (requestedByCode[i.productCode] || 0) + (Number(i.quantity) || 0);
+  });
+  const violations = findQuantityViolations(
+    await getProductAllowances(BUDGET_SHEET_ID, branchName, month, req.timezone),
+    requestedByCode
+  );
+  if (violations.length > 0 && isQuantityLimitBlocking(req.clientSettings)) {
+    logDebug('submitOrder blocked by quantity limits', {
+      branchName,
+      violations,
+    });
+    return {
+      success: false,
+      code: 'QUANTITY_LIMIT_EXCEEDED',
+      message: `الكمية المطلوبة تتجاوز الحد الأقصى الشهري للأصناف: ${violations
+        .map((v) => `${v.productCode} (المتبقي ${v.remainingQty})`)
+        .join('، ')}`,
+      violations,
+    };
+  }
+  const overLimitCodes = new Set(violations.map((v) => v.productCode));
+
+  // Paper quota (paperMode users only), by the catalog's category of each product
+  let paperUnits = 0;
+  if (userInfo.paperMode) {
+    const isPaperLine = await getPaperLineFilter(
+      BUDGET_SHEET_ID,
+      req.clientSettings
+    );
+    orderItems.forEach((i) => {
+      if (isPaperLine(i)) paperUnits += Number(i.quantity) || 0;
+    });
+  }
+  const paper = userInfo.paperMode
+    ? await getPaperUsage(
+        BUDGET_SHEET_ID,
+        branchName,
+        month,
+        req.timezone,
+        req.clientSettings
+      )
+    : null;
+  if (paper && paperUnits > 0 && paperUnits > paper.remaining) {
+    logDebug('submitOrder blocked by paper quota', {
+      branchName,
+      paperUnits,
+      paper,
+    });
+    return {
+      success: false,
+      code: 'PAPER_QUOTA_EXCEEDED',
+      message: `كمية الورق المطلوبة (${paperUnits}) تتجاوز المتبقي من حصة الفرع الشهرية (${Math.max(
+        0,
+        paper.remaining
+      )})`,
+      paper,
+    };
+  }
+
+  const budget = await getBranchBudget(
+    BUDGET_SHEET_ID,
+    branchName,
+    month,
+    req.timezone
+  );
+  const overBudget = !!budget && orderTotal > budget.remaining;
+  const budgetMode = (req.clientSettings.BudgetMode || '').toLowerCase();
+  if (overBudget && budgetMode === 'block') {
+    logDebug('submitOrder blocked by branch budget', {
+      branchName,
+      orderTotal,
+      budget,
+    });
+    return {
+      success: false,
+      code: 'BUDGET_EXCEEDED',
+      message: `الطلب يتجاوز الميزانية المتبقية للفرع (${budget.remaining.toFixed(
+        2
+      )})`,
+      budget,
+    };
+  }
+
+  const orderSerial = await getNextOrderSerial(BUDGET_SHEET_ID);
+
+  const dateString = formatDateTime(new Date(), req.timezone);
+
+  const lines = orderItems.map((i) => {
+    const product = catalog[i.productCode] || {};
+    const price = Number(product.price) || 0;
+    const qty = Number(i.quantity) || 0;
+    return {
+      date: dateString,
+      branch: branchName,
+      username,
+      productCode: i.productCode,
+      productName: product.name || i.productName,
+      unitPrice: price,
+      subtotal: price * qty,
+      category: product.category || '',
+      quantity: qty,
+      note: overLimitCodes.has(i.productCode) ? OVER_LIMIT_NOTE : '',
+      serial: orderSerial,
+    };
+  });
+
+  // Steps at or below the submitter's own level count as approved by them
+  const chain = approvalChainFor(req.clientSettings, orderTotal);
+  const ownSteps = chain.filter((s) => levelRank(s) <= levelRank(userLevel));
+  const approvalStep = chain.find((s) => !ownSteps.includes(s)) || '';
+  const targetStatus = approvalStep ? 'waiting' : 'approved';
+  lines.forEach((l) => {
+    l.approvalStep = approvalStep;
+    l.approvalChain = chain.join(',');
+  });
+
+  const storage = getStorage();
+  await storage.orders.append(BUDGET_SHEET_ID, targetStatus, lines);
+  await storage.approvals.append(
+    BUDGET_SHEET_ID,
+    ownSteps.map((step) => ({
+      date: dateString,
+      serial: orderSerial,
+      step,
+      username,
+      decision: 'approved',
+    }))
+  );
+
+  await recordAudit(BUDGET_SHEET_ID, userInfo, req.timezone, [
+    {
+      serial: orderSerial,
+      action: 'submit',
+      details: `${targetStatus}${
+        approvalStep ? ` (${approvalStep})` : ''
+      }, ${lines.length} lines, total ${orderTotal}`,
+    },
+  ]);
+  notifyOrderEvent(BUDGET_SHEET_ID, userInfo, 'submitted', {
+    serial: orderSerial,
+    status: targetStatus,
+    lines,
+  });
+
+  logDebug('submitOrder saved lines with serial', {
+    branchName,
+    targetStatus,
+    approvalStep,
+    lines: lines.length,
+    orderSerial,
+  });
+
+  const result = {
+    success: true,
+    orderSerial,
+    status: targetStatus,
+    approvalStep: approvalStep || null,
+    budget: budget && {
+      ...budget,
+      spent: budget.spent + orderTotal,
+      remaining: budget.remaining - orderTotal,
+    },
+  };
+  if (overBudget) {
+    result.budgetWarning = 'تنبيه: هذا الطلب تجاوز الميزانية الشهرية للفرع';
+  }
+  if (violations.length > 0) result.limitWarnings = violations;
+  if (paper) {
+    result.paper = {
+      ...paper,
+      used: paper.used + paperUnits,
+      remaining: paper.remaining - paperUnits,
+    };
+  }
+  return result;
+}
+
 /* ========================================================================== */
-/* === [6] Update Previous Orders (returns)                                === */
+/* === [6] Returns on previous (final) orders                              === */
 /* ========================================================================== */
-app.post('/api/updatePreviousOrders', async (req, res) => {
+/**
+ * POST /api/updatePreviousOrders
+ * Body: { branchName, updatedOrders: [{ lineId?, productCode, quantity | returnQty,
+ *         reason? }], reason? }
+ * quantity is the new net quantity of the line (kept for older clients),
+ * returnQty the units sent back. Each line becomes a "Returns" row; Final
+ * Orders is never rewritten. Pending until an approver signs it off (an
+ * approver's own returns are approved at once). Current-month lines only.
+ */
+app.post('/api/updatePreviousOrders', requireSession, async (req, res) => {
   try {
-    const { branchName, userType, updatedOrders, username } = req.body;
+    const { branchName, userType, updatedOrders } = req.body;
+    const username = req.user.username;
     logDebug('Received updatePreviousOrders', {
       branchName,
       userType,
@@ -1709,74 +4081,30 @@ app.post('/api/updatePreviousOrders', async (req, res) => {
       });
     }
 
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-    const BUDGET_SHEET_ID =
-      await resolveBudgetSheetIdFromF2ByUsername(
-        sheets,
-        credentialsSheetId,
-        username
-      );
-
-    const ordersResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Final Orders',
-    });
-    const rows = ordersResp.data.values || [];
-    const now = new Date();
-
-    const latestIndex = {};
-    for (let i = 1; i < rows.length; i++) {
-      const cell = rows[i][0];
-      const date = !cell
-        ? null
-        : !isNaN(cell) && Number(cell) > 30000
-        ? serialToDate(Number(cell))
-        : new Date(cell);
-      if (!date || !isSameMonth(date, now)) continue;
-      if (rows[i][1] !== branchName) continue;
-      const code = rows[i][3];
-      latestIndex[code] = i;
-    }
-
-    const batch = [];
-    updatedOrders.forEach((o) => {
-      let idx =
-        typeof o.rowIndex === 'number' &&
-        o.rowIndex > 0 &&
-        o.rowIndex < rows.length
-          ? o.rowIndex
-          : latestIndex[o.productCode];
-
-      if (idx === undefined) return;
-
-      const unitPrice = parseFloat(rows[idx][5]) || 0;
-      const qty = Math.max(0, parseInt(o.quantity) || 0);
-      const newSubtotal = unitPrice * qty;
-      const r = idx + 1;
-
-      batch.push(
-        { range: `Final Orders!I${r}`, values: [[qty]] },
-        { range: `Final Orders!G${r}`, values: [[newSubtotal]] }
-      );
-    });
-
-    if (batch.length === 0) {
-      return res.status(400).json({
+    if (!canActForBranch(req.user, branchName)) {
+      return res.status(403).json({
         success: false,
-        message: 'لم يتم العثور على بيانات لتحديثها',
+        message: 'غير مسموح لك بتعديل طلبات هذا الفرع',
       });
     }
 
-    await sheets.spreadsheets.values.batchUpdate({
-      spreadsheetId: BUDGET_SHEET_ID,
-      resource: { valueInputOption: 'USER_ENTERED', data: batch },
-    });
+    const BUDGET_SHEET_ID = req.user.budgetSheetId;
+    const result = await budgetLock.runExclusive(
+      `${BUDGET_SHEET_ID}::${branchName}`,
+      () => recordReturns(req, branchName, updatedOrders)
+    );
+    if (result.error) {
+      return res
+        .status(result.error.status)
+        .json({ success: false, message: result.error.message });
+    }
 
-    logDebug('Batch update of previous orders complete', {
-      updatedLines: batch.length / 2,
+    logDebug('Returns recorded', {
+      branchName,
+      returns: result.returns.length,
+      status: result.status,
     });
-    res.json({ success: true });
+    res.json({ success: true, status: result.status, returns: result.returns });
   } catch (err) {
     logDebug('Error updating previous orders', {
       error: err.message,
@@ -1789,82 +4117,286 @@ app.post('/api/updatePreviousOrders', async (req, res) => {
   }
 });
 
-/* ========================================================================== */
-/* === [6c] L2: Orders summary by status + details (NEW)                  === */
-/* ========================================================================== */
+// Validates and appends the returns of one branch; runs under budgetLock.
+// Returns { status, returns } or { error: { status, message } }.
+async function recordReturns(req, branchName, updatedOrders) {
+  const storage = getStorage();
+  const BUDGET_SHEET_ID = req.user.budgetSheetId;
+  const currentMonth = yearMonthOf(new Date(), req.timezone);
+
+  // Net of approved returns; pending ones are not available either
+  const lines = netFinalLines(
+    await storage.orders.list(BUDGET_SHEET_ID, 'approved'),
+    await getReturnedUnits(BUDGET_SHEET_ID)
+  );
+  const pending = await getReturnedUnits(BUDGET_SHEET_ID, ['pending']);
+
+  // Only this branch's current-month lines may be returned
+  const byLineId = {};
+  const latestByCode = {};
+  lines.forEach((line) => {
+    const date = parseSheetDate(line.date, req.timezone);
+    if (!date || yearMonthOf(date, req.timezone) !== currentMonth) return;
+    if (line.branch !== branchName) return;
+    byLineId[line.lineId] = line;
+    latestByCode[line.productCode] = line;
+  });
 
-// Shared handler for orders summary by status (grouped by Serial)
-async function handleOrdersSummaryForL2(req, res) {
+  const fallbackReason = noteFromBody(req.body);
+  const entries = [];
+  for (const o of updatedOrders) {
+    const line =
+      (o.lineId !== undefined && byLineId[o.lineId]) ||
+      latestByCode[o.productCode];
+    if (!line) continue;
+
+    const returnQty =
+      o.returnQty !== undefined
+        ? parseInt(o.returnQty) || 0
+        : line.quantity - Math.max(0, parseInt(o.quantity) || 0);
+    if (returnQty < 0) {
+      return {
+        error: {
+          status: 400,
+          message: 'لا يمكن زيادة كمية طلب معتمد، برجاء إنشاء طلب جديد',
+        },
+      };
+    }
+    if (returnQty === 0) continue;
+
+    const key = returnKey(line.serial, line.productCode);
+    const available = line.quantity - (pending[key] || 0);
+    if (returnQty > available) {
+      return {
+        error: {
+          status: 400,
+          message: `الكمية المرتجعة من ${line.productCode} أكبر من المتاح (${Math.max(
+            0,
+            available
+          )})`,
+        },
+      };
+    }
+    const reason = (o.reason || '').toString().trim() || fallbackReason;
+    if (!reason) {
+      return { error: { status: 400, message: 'يجب كتابة سبب الارتجاع' } };
+    }
+    pending[key] = (pending[key] || 0) + returnQty;
+    entries.push({ line, returnQty, reason });
+  }
+
+  if (entries.length === 0) {
+    return {
+      error: { status: 400, message: 'لم يتم العثور على بيانات لتحديثها' },
+    };
+  }
+
+  // An approver's own return needs no second sign-off
+  const selfApproved = isApprover(req.user);
+  const date = formatDateTime(new Date(), req.timezone);
+  const returns = entries.map(({ line, returnQty, reason }) => ({
+    date,
+    serial: line.serial,
+    branch: branchName,
+    productCode: line.productCode,
+    quantity: returnQty,
+    reason,
+    username: req.user.username,
+    status: selfApproved ? 'approved' : 'pending',
+    decidedBy: selfApproved ? req.user.username : '',
+    decidedAt: selfApproved ? date : '',
+    decisionNote: '',
+  }));
+  await storage.returns.append(BUDGET_SHEET_ID, returns);
+  await recordAudit(
+    BUDGET_SHEET_ID,
+    req.user,
+    req.timezone,
+    entries.map(({ line, returnQty, reason }) => ({
+      serial: line.serial,
+      action: selfApproved ? 'return-approved' : 'return',
+      productCode: line.productCode,
+      before: line.quantity,
+      after: line.quantity - returnQty,
+      details: reason,
+    }))
+  );
+
+  return { status: selfApproved ? 'approved' : 'pending', returns };
+}
+
+/**
+ * GET /api/returns?status=pending&branchName=...
+ * Approvers see the branches of their scope (branchName optional); other
+ * users only their own.
+ */
+app.get('/api/returns', requireSession, async (req, res) => {
   try {
-    const username = (req.query.username || '').trim();
-    if (!username) {
-      return res
-        .status(400)
-        .json({ success: false, message: 'Missing username' });
+    const status = (req.query.status || '').trim().toLowerCase();
+    let branchName = (req.query.branchName || '').trim();
+    if (!isApprover(req.user)) {
+      branchName = branchName || req.user.branch || '';
+      if (!branchName || !canActForBranch(req.user, branchName)) {
+        return res.status(403).json({
+          success: false,
+          message: 'غير مسموح لك بعرض مرتجعات هذا الفرع',
+        });
+      }
     }
 
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-    const userInfo = await getUserInfoByUsername(
-      sheets,
-      credentialsSheetId,
-      username
-    );
+    const BUDGET_SHEET_ID = req.user.budgetSheetId;
+    const names = {};
+    (await getStorage().catalog.list(BUDGET_SHEET_ID)).forEach((p) => {
+      names[p.code] = p.name;
+    });
+    const returns = (await getStorage().returns.list(BUDGET_SHEET_ID))
+      .filter((r) => !status || r.status === status)
+      .filter((r) => !branchName || r.branch === branchName)
+      .filter((r) => canActForBranch(req.user, r.branch))
+      .map((r) => ({ ...r, productName: names[r.productCode] || r.productCode }));
 
-    if (!userInfo) {
+    res.json({ success: true, returns });
+  } catch (err) {
+    logDebug('Error in returns list', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء تحميل المرتجعات',
+    });
+  }
+});
+
+/**
+ * POST /api/decideReturn
+ * Body: { ids: [..] (or id), decision: 'approved' | 'rejected', note? } – approvers only.
+ */
+app.post('/api/decideReturn', requireSession, async (req, res) => {
+  try {
+    const ids = (Array.isArray(req.body.ids) ? req.body.ids : [req.body.id])
+      .filter((id) => id !== undefined && id !== null && id !== '')
+      .map((id) => String(id));
+    const decision = (req.body.decision || '').toString().trim().toLowerCase();
+    const note = noteFromBody(req.body);
+    if (ids.length === 0 || !['approved', 'rejected'].includes(decision)) {
       return res
         .status(400)
-        .json({ success: false, message: 'المستخدم غير موجود' });
+        .json({ success: false, message: 'البيانات غير مكتملة' });
+    }
+    if (decision === 'rejected' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'يجب كتابة سبب رفض المرتجع',
+      });
     }
-    if ((userInfo.level || '').toUpperCase() !== 'L2') {
+
+    const userInfo = req.user;
+    if (!isApprover(userInfo)) {
       return res.status(403).json({
         success: false,
-        message: 'غير مسموح بعرض قائمة الطلبات',
+        message: 'غير مسموح باعتماد المرتجعات',
       });
     }
 
+    const storage = getStorage();
     const BUDGET_SHEET_ID = userInfo.budgetSheetId;
+    const byId = {};
+    (await storage.returns.list(BUDGET_SHEET_ID)).forEach((r) => {
+      byId[String(r.id)] = r;
+    });
+    const selected = ids.map((id) => byId[id]);
+    if (selected.some((r) => !r || r.status !== 'pending')) {
+      return res.status(409).json({
+        success: false,
+        message: 'تم البت في هذا المرتجع بالفعل أو لم يتم العثور عليه',
+      });
+    }
+    if (selected.some((r) => !canActForBranch(userInfo, r.branch))) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك باعتماد مرتجعات هذا الفرع',
+      });
+    }
+
+    const decidedAt = formatDateTime(new Date(), req.timezone);
+    for (const r of selected) {
+      await storage.returns.decide(BUDGET_SHEET_ID, r.id, {
+        status: decision,
+        decidedBy: userInfo.username,
+        decidedAt,
+        decisionNote: note,
+      });
+    }
+    await recordAudit(
+      BUDGET_SHEET_ID,
+      userInfo,
+      req.timezone,
+      selected.map((r) => ({
+        serial: r.serial,
+        action: `return-${decision}`,
+        productCode: r.productCode,
+        details: `${r.quantity} units${note ? `: ${note}` : ''}`,
+      }))
+    );
 
-    const productsResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Product Catalog',
+    logDebug('Returns decided', { ids, decision, username: userInfo.username });
+    res.json({ success: true, decided: selected.length, decision });
+  } catch (err) {
+    logDebug('Error in decideReturn', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء اعتماد المرتجع',
     });
-    const productRows = productsResp.data.values || [];
-    const codeToImage = {};
-    for (let i = 1; i < productRows.length; i++) {
-      const row = productRows[i];
-      const code = row[0];
-      if (code) {
-        codeToImage[code] = row[4] || '';
-      }
+  }
+});
+
+/* ========================================================================== */
+/* === [6c] L2: Orders summary by status + details (NEW)                  === */
+/* ========================================================================== */
+
+// Shared handler for orders summary by status (grouped by Serial)
+// Query (optional): ?month=YYYY-MM or ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: current month).
+// Waiting orders are always listed unless a period is given explicitly.
+async function handleOrdersSummaryForL2(req, res) {
+  try {
+    const userInfo = req.user;
+    if (!canViewOrders(userInfo)) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح بعرض قائمة الطلبات',
+      });
     }
 
-    const now = new Date();
+    const BUDGET_SHEET_ID = userInfo.budgetSheetId;
+
+    const codeToImage = {};
+    (await getStorage().catalog.list(BUDGET_SHEET_ID)).forEach((p) => {
+      codeToImage[p.code] = p.imageUrl;
+    });
+
+    const range = resolveDateRange(req.query, req.timezone);
+    if (!range) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'الفترة المحددة غير صحيحة' });
+    }
     const summaryMap = {};
 
-    function processSheet(rows, statusKey) {
-      if (!rows || rows.length <= 1) return;
-      for (let i = 1; i < rows.length; i++) {
-        const row = rows[i];
-        const cell = row[0];
-        const date = !cell
-          ? null
-          : !isNaN(cell) && Number(cell) > 30000
-          ? serialToDate(Number(cell))
-          : new Date(cell);
-        if (!date || !isSameMonth(date, now)) continue;
-
-        const branchName = (row[1] || '').toString().trim();
+    function processLines(lines, statusKey) {
+      for (const line of lines) {
+        if (!isLineInPeriod(line, statusKey.toLowerCase(), range)) continue;
+        if (statusKey === 'Waiting' && !isAwaitingUser(line, userInfo)) {
+          continue;
+        }
+        const date = parseSheetDate(line.date, req.timezone);
+
+        const branchName = line.branch;
         if (!branchName) continue;
+        if (!isBranchInScope(userInfo, branchName)) continue;
 
-        const requestedByVal = (row[2] || '').toString().trim();
-        const productCode = row[3];
-        const productName = row[4];
-        const unitPrice = parseFloat(row[5]) || 0;
-        const qty = parseInt(row[8]) || 0;
-        const subtotal = parseFloat(row[6]) || unitPrice * qty;
-        const category = row[7] || '';
-        const serial = (row[10] || '').toString().trim();
+        const requestedByVal = line.username;
+        const { productCode, productName, unitPrice, subtotal, category } =
+          line;
+        const qty = line.quantity;
+        const serial = line.serial;
         if (!serial) continue;
 
         const key = `${serial}__${statusKey}`;
@@ -1873,6 +4405,9 @@ async function handleOrdersSummaryForL2(req, res) {
             serial,
             branchName,
             status: statusKey,
+            approvalStep: statusKey === 'Waiting' ? awaitedStep(line) : null,
+            approvalChain: line.approvalChain || '',
+            escalatedTo: line.escalatedTo || '',
             total: 0,
             createdAt: date,
             requestors: new Set(),
@@ -1887,40 +4422,64 @@ async function handleOrdersSummaryForL2(req, res) {
         if (requestedByVal) entry.requestors.add(requestedByVal);
 
         entry.items.push({
+          lineId: line.lineId,
           productCode,
           productName,
           unitPrice,
           quantity: qty,
           subtotal,
           category,
+          note: line.note,
           imageUrl: codeToImage[productCode] || '',
         });
       }
     }
 
-    const waitingResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Waiting for Approval',
-    });
-    processSheet(waitingResp.data.values || [], 'Waiting');
+    // Warehouse users only work on approved orders
+    const warehouseOnly = !isApprover(userInfo);
+    const storage = getStorage();
+    const waitingLines = warehouseOnly
+      ? []
+      : await storage.orders.list(BUDGET_SHEET_ID, 'waiting');
+    processLines(waitingLines, 'Waiting');
+    processLines(
+      await storage.orders.list(BUDGET_SHEET_ID, 'approved'),
+      'Approved'
+    );
+    if (!warehouseOnly) {
+      processLines(
+        await storage.orders.list(BUDGET_SHEET_ID, 'cancelled'),
+        'Cancelled'
+      );
+    }
 
-    const finalResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Final Orders',
+    const approvalsBySerial = {};
+    (await storage.approvals.list(BUDGET_SHEET_ID)).forEach((a) => {
+      if (!approvalsBySerial[a.serial]) approvalsBySerial[a.serial] = [];
+      approvalsBySerial[a.serial].push({
+        date: a.date,
+        step: a.step,
+        username: a.username,
+        decision: a.decision,
+      });
     });
-    processSheet(finalResp.data.values || [], 'Approved');
 
-    try {
-      const cancelledResp = await sheets.spreadsheets.values.get({
-        spreadsheetId: BUDGET_SHEET_ID,
-        range: 'Cancelled Orders',
-      });
-      processSheet(cancelledResp.data.values || [], 'Cancelled');
-    } catch (e) {
-      logDebug('Cancelled Orders sheet read failed (maybe missing)', {
-        error: e.message,
-      });
-    }
+    const notesBySerial = await getOrderNotesBySerial(BUDGET_SHEET_ID);
+    const fulfilmentBySerial = await getFulfilmentBySerial(BUDGET_SHEET_ID);
+    const returnsBySerial = await getReturnsBySerial(BUDGET_SHEET_ID);
+    const waitingSinceBySerial = await getWaitingSinceBySerial(
+      BUDGET_SHEET_ID,
+      waitingLines,
+      req.timezone
+    );
+    const now = new Date();
+
+    // Statuses each serial appears under (a partially approved order has two)
+    const outcomesBySerial = {};
+    Object.values(summaryMap).forEach((entry) => {
+      if (!outcomesBySerial[entry.serial]) outcomesBySerial[entry.serial] = [];
+      outcomesBySerial[entry.serial].push(entry.status);
+    });
 
     const orders = Object.values(summaryMap).map((entry) => {
       const creators = Array.from(entry.requestors);
@@ -1932,9 +4491,7 @@ async function handleOrdersSummaryForL2(req, res) {
           : 'أكثر من مستخدم';
 
       const createdAtStr = entry.createdAt
-        ? entry.createdAt.toLocaleString('sv-SE', {
-            timeZone: 'Africa/Cairo',
-          })
+        ? formatDateTime(entry.createdAt, req.timezone)
         : '';
 
       return {
@@ -1942,6 +4499,26 @@ async function handleOrdersSummaryForL2(req, res) {
         serial: entry.serial,
         branchName: entry.branchName,
         status: entry.status,
+        approvalStep: entry.approvalStep,
+        approvalChain: entry.approvalChain,
+        approvals: approvalsBySerial[entry.serial] || [],
+        outcomes: outcomesBySerial[entry.serial],
+        notes: notesBySerial[entry.serial] || [],
+        fulfilment:
+          entry.status === 'Approved'
+            ? fulfilmentBySerial[entry.serial] || { stage: '', history: [] }
+            : null,
+        returns:
+          entry.status === 'Approved' ? returnsBySerial[entry.serial] || [] : [],
+        sla:
+          entry.status === 'Waiting'
+            ? slaFields(
+                req.clientSettings,
+                entry,
+                waitingSinceBySerial[entry.serial],
+                now
+              )
+            : null,
         requestedBy,
         createdAt: createdAtStr,
         total: entry.total,
@@ -1965,18 +4542,18 @@ async function handleOrdersSummaryForL2(req, res) {
 // Support multiple possible paths used by the frontend
 app.get(
   ['/api/ordersSummaryForL2', '/api/ordersSummary', '/api/ordersSummaryByStatus'],
+  requireSession,
   handleOrdersSummaryForL2
 );
 
 // Shared handler for order details by branch + status OR serial + status
 async function handleOrderDetailsForL2(req, res) {
   try {
-    const username = (req.query.username || '').trim();
     const branchNameQuery = (req.query.branchName || '').trim();
     const statusRaw = (req.query.status || '').trim().toLowerCase();
     const serialQuery = (req.query.serial || '').trim();
 
-    if (!username || (!branchNameQuery && !serialQuery)) {
+    if (!branchNameQuery && !serialQuery) {
       return res
         .status(400)
         .json({ success: false, message: 'البيانات غير مكتملة' });
@@ -1986,67 +4563,42 @@ async function handleOrderDetailsForL2(req, res) {
     if (statusRaw === 'approved') status = 'approved';
     else if (statusRaw === 'cancelled') status = 'cancelled';
 
-    const sheetName =
-      status === 'waiting'
-        ? 'Waiting for Approval'
-        : status === 'approved'
-        ? 'Final Orders'
-        : 'Cancelled Orders';
-
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-    const userInfo = await getUserInfoByUsername(
-      sheets,
-      credentialsSheetId,
-      username
-    );
-
-    if (!userInfo) {
-      return res
-        .status(400)
-        .json({ success: false, message: 'المستخدم غير موجود' });
-    }
-    if ((userInfo.level || '').toUpperCase() !== 'L2') {
+    const userInfo = req.user;
+    if (
+      !canViewOrders(userInfo) ||
+      (!isApprover(userInfo) && status !== 'approved')
+    ) {
       return res.status(403).json({
         success: false,
         message: 'غير مسموح بعرض تفاصيل الطلب',
       });
     }
 
+    const storage = getStorage();
     const BUDGET_SHEET_ID = userInfo.budgetSheetId;
 
-    const productsResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Product Catalog',
-    });
-    const productRows = productsResp.data.values || [];
     const codeToImage = {};
-    for (let i = 1; i < productRows.length; i++) {
-      const row = productRows[i];
-      codeToImage[row[0]] = row[4] || '';
-    }
-
-    const sheetResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: sheetName,
+    (await storage.catalog.list(BUDGET_SHEET_ID)).forEach((p) => {
+      codeToImage[p.code] = p.imageUrl;
     });
-    const rows = sheetResp.data.values || [];
-    const now = new Date();
+
+    const lines = await storage.orders.list(BUDGET_SHEET_ID, status);
+    const range = resolveDateRange(req.query, req.timezone);
+    if (!range) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'الفترة المحددة غير صحيحة' });
+    }
     const items = [];
     let effectiveBranchName = branchNameQuery;
 
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      const cell = row[0];
-      const date = !cell
-        ? null
-        : !isNaN(cell) && Number(cell) > 30000
-        ? serialToDate(Number(cell))
-        : new Date(cell);
-      if (!date || !isSameMonth(date, now)) continue;
+    for (const line of lines) {
+      if (!isLineInPeriod(line, status, range)) continue;
+      if (status === 'waiting' && !isAwaitingUser(line, userInfo)) continue;
 
-      const rowBranch = (row[1] || '').toString().trim();
-      const rowSerial = (row[10] || '').toString().trim();
+      const rowBranch = line.branch;
+      const rowSerial = line.serial;
+      if (!isBranchInScope(userInfo, rowBranch)) continue;
 
       if (serialQuery) {
         if (rowSerial !== serialQuery) continue;
@@ -2057,30 +4609,61 @@ async function handleOrderDetailsForL2(req, res) {
         if (rowBranch !== branchNameQuery) continue;
       }
 
-      const productCode = row[3];
-      const productName = row[4];
-      const unitPrice = parseFloat(row[5]) || 0;
-      const qty = parseInt(row[8]) || 0;
-      const subtotal = parseFloat(row[6]) || unitPrice * qty;
-      const category = row[7] || '';
-
       items.push({
-        productCode,
-        productName,
-        unitPrice,
-        quantity: qty,
-        subtotal,
-        category,
-        imageUrl: codeToImage[productCode] || '',
+        lineId: line.lineId,
+        productCode: line.productCode,
+        productName: line.productName,
+        unitPrice: line.unitPrice,
+        quantity: line.quantity,
+        subtotal: line.subtotal,
+        category: line.category,
+        note: line.note,
+        imageUrl: codeToImage[line.productCode] || '',
       });
     }
 
+    // Steps approved so far (by serial only)
+    const approvals = serialQuery
+      ? (await storage.approvals.list(BUDGET_SHEET_ID))
+          .filter((a) => a.serial === serialQuery)
+          .map(({ date, step, username, decision }) => ({
+            date,
+            step,
+            username,
+            decision,
+          }))
+      : [];
+
+    const notes = serialQuery
+      ? (await getOrderNotesBySerial(BUDGET_SHEET_ID, [serialQuery]))[
+          serialQuery
+        ] || []
+      : [];
+
+    const fulfilment =
+      serialQuery && status === 'approved'
+        ? (await getFulfilmentBySerial(BUDGET_SHEET_ID, [serialQuery]))[
+            serialQuery
+          ] || { stage: '', history: [] }
+        : null;
+
+    const returns =
+      serialQuery && status === 'approved'
+        ? (await getReturnsBySerial(BUDGET_SHEET_ID, [serialQuery]))[
+            serialQuery
+          ] || []
+        : [];
+
     res.json({
       success: true,
       branchName: effectiveBranchName || '',
       serial: serialQuery || null,
       status,
       items,
+      approvals,
+      notes,
+      fulfilment,
+      returns,
     });
   } catch (err) {
     logDebug('Error in orderDetailsForL2', {
@@ -2097,20 +4680,70 @@ async function handleOrderDetailsForL2(req, res) {
 // Support multiple paths to be safe with frontend
 app.get(
   ['/api/orderDetailsForL2', '/api/orderDetailsByStatus'],
+  requireSession,
   handleOrderDetailsForL2
 );
 
+/* ========================================================================== */
+/* === [6d] L2: Audit trail of one order                                   === */
+/* ========================================================================== */
+// Branch of an order, looked up in every order tab ('' when unknown)
+async function branchOfSerial(spreadsheetId, serial) {
+  for (const status of ORDER_STATUSES) {
+    const line = (await getStorage().orders.list(spreadsheetId, status)).find(
+      (l) => l.serial === serial
+    );
+    if (line) return line.branch;
+  }
+  return '';
+}
+
+// GET /api/orderAudit?serial=AA13 -> { success, serial, entries: [...] } (oldest first)
+app.get('/api/orderAudit', requireSession, async (req, res) => {
+  try {
+    const serial = (req.query.serial || '').trim();
+    if (!serial) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'البيانات غير مكتملة' });
+    }
+    if (
+      !isApprover(req.user) ||
+      !isBranchInScope(
+        req.user,
+        await branchOfSerial(req.user.budgetSheetId, serial)
+      )
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح بعرض سجل الطلب',
+      });
+    }
+
+    const entries = (await getStorage().audit.list(req.user.budgetSheetId))
+      .filter((e) => e.serial === serial)
+      .map(({ id, ...entry }) => entry);
+
+    res.json({ success: true, serial, entries });
+  } catch (err) {
+    logDebug('Error in orderAudit', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء تحميل سجل الطلب',
+    });
+  }
+});
+
 /* ========================================================================== */
 /* === [6e] NEW: Export orders as Excel (L2) – MULTI ORDERS (GET)          === */
 /* ========================================================================== */
 /**
  * GET /api/exportOrdersExcel
- * Query: ?username=...&serials=AA10,AA9,AA6
+ * Query: ?serials=AA10,AA9,AA6 (+ optional month / from / to, as in ordersSummary)
  * Only L2 users. Exports the selected orders (by serial) as .xlsx.
  */
-app.get('/api/exportOrdersExcel', async (req, res) => {
+app.get('/api/exportOrdersExcel', requireSession, async (req, res) => {
   try {
-    const username = (req.query.username || '').trim();
     const serialsParam = (req.query.serials || '').trim();
 
     // serials comes like "AA10,AA9,AA6"
@@ -2119,27 +4752,15 @@ app.get('/api/exportOrdersExcel', async (req, res) => {
       .map((s) => s.trim())
       .filter((s) => s);
 
-    if (!username || serials.length === 0) {
+    if (serials.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'البيانات غير مكتملة',
       });
     }
 
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-    const userInfo = await getUserInfoByUsername(
-      sheets,
-      credentialsSheetId,
-      username
-    );
-
-    if (!userInfo) {
-      return res
-        .status(400)
-        .json({ success: false, message: 'المستخدم غير موجود' });
-    }
-    if ((userInfo.level || '').toUpperCase() !== 'L2') {
+    const userInfo = req.user;
+    if (!canViewOrders(userInfo)) {
       return res.status(403).json({
         success: false,
         message: 'غير مسموح بتحميل ملف إكسل للطلبات',
@@ -2147,36 +4768,33 @@ app.get('/api/exportOrdersExcel', async (req, res) => {
     }
 
     const BUDGET_SHEET_ID = userInfo.budgetSheetId;
-    const now = new Date();
+    const range = resolveDateRange(req.query, req.timezone);
+    if (!range) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'الفترة المحددة غير صحيحة' });
+    }
     const selectedSerials = new Set(serials);
     const ordersMap = {}; // keyed ONLY by serial
 
-    function processSheet(rows, statusKey) {
-      if (!rows || rows.length <= 1) return;
-      for (let i = 1; i < rows.length; i++) {
-        const row = rows[i];
-        const cell = row[0];
-        const date = !cell
-          ? null
-          : !isNaN(cell) && Number(cell) > 30000
-          ? serialToDate(Number(cell))
-          : new Date(cell);
-        if (!date || !isSameMonth(date, now)) continue;
-
-        const branchName = (row[1] || '').toString().trim();
+    function processLines(lines, statusKey) {
+      for (const line of lines) {
+        if (!isLineInPeriod(line, statusKey.toLowerCase(), range)) continue;
+        const date = parseSheetDate(line.date, req.timezone);
+
+        const branchName = line.branch;
         if (!branchName) continue;
+        if (!isBranchInScope(userInfo, branchName)) continue;
 
-        const requestedByVal = (row[2] || '').toString().trim();
-        const productCode = row[3];
-        const productName = row[4];
-        const unitPrice = parseFloat(row[5]) || 0;
-        const qty = parseInt(row[8]) || 0;
-        const subtotal = parseFloat(row[6]) || unitPrice * qty;
-        const category = row[7] || '';
-        const serial = (row[10] || '').toString().trim();
+        const requestedByVal = line.username;
+        const { productCode, productName, unitPrice, subtotal, category } =
+          line;
+        const qty = line.quantity;
+        const serial = line.serial;
         if (!serial || !selectedSerials.has(serial)) continue;
 
-        // ONE entry per serial – last status wins if duplicated
+        // ONE entry per serial; each item keeps its own status (a partially
+        // approved order has Approved and Cancelled lines)
         if (!ordersMap[serial]) {
           ordersMap[serial] = {
             serial,
@@ -2195,39 +4813,40 @@ app.get('/api/exportOrdersExcel', async (req, res) => {
         if (requestedByVal) entry.requestors.add(requestedByVal);
 
         entry.items.push({
+          status: statusKey,
           productCode,
           productName,
           category,
           quantity: qty,
           unitPrice,
           subtotal,
+          ...returnFields(statusKey, line, returnedByLineId),
         });
       }
     }
 
-    // Read from all three sheets and keep only selected serials
-    const waitingResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Waiting for Approval',
-    });
-    processSheet(waitingResp.data.values || [], 'Waiting');
-
-    const finalResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Final Orders',
-    });
-    processSheet(finalResp.data.values || [], 'Approved');
-
-    try {
-      const cancelledResp = await sheets.spreadsheets.values.get({
-        spreadsheetId: BUDGET_SHEET_ID,
-        range: 'Cancelled Orders',
-      });
-      processSheet(cancelledResp.data.values || [], 'Cancelled');
-    } catch (e) {
-      logDebug('Cancelled Orders sheet read failed (maybe missing)', {
-        error: e.message,
-      });
+    // Read all three statuses and keep only selected serials (warehouse
+    // users: approved lines only)
+    const warehouseOnly = !isApprover(userInfo);
+    const storage = getStorage();
+    // Read before any processLines call: it fills the Returned / Net columns
+    const finalLines = await storage.orders.list(BUDGET_SHEET_ID, 'approved');
+    const returnedByLineId = await getReturnedByLineId(
+      BUDGET_SHEET_ID,
+      finalLines
+    );
+    if (!warehouseOnly) {
+      processLines(
+        await storage.orders.list(BUDGET_SHEET_ID, 'waiting'),
+        'Waiting'
+      );
+    }
+    processLines(finalLines, 'Approved');
+    if (!warehouseOnly) {
+      processLines(
+        await storage.orders.list(BUDGET_SHEET_ID, 'cancelled'),
+        'Cancelled'
+      );
     }
 
     const serialKeys = Object.keys(ordersMap);
@@ -2254,8 +4873,18 @@ app.get('/api/exportOrdersExcel', async (req, res) => {
       { header: 'Quantity', key: 'quantity', width: 10 },
       { header: 'Unit Price', key: 'unitPrice', width: 14 },
       { header: 'Subtotal', key: 'subtotal', width: 14 },
+      { header: 'Returned Qty', key: 'returnedQty', width: 13 },
+      { header: 'Net Qty', key: 'netQty', width: 10 },
+      { header: 'Processing At', key: 'processingAt', width: 20 },
+      { header: 'Shipped At', key: 'shippedAt', width: 20 },
+      { header: 'Delivered At', key: 'deliveredAt', width: 20 },
     ];
 
+    const fulfilmentBySerial = await getFulfilmentBySerial(
+      BUDGET_SHEET_ID,
+      serialKeys
+    );
+
     serialKeys.forEach((serial) => {
       const entry = ordersMap[serial];
       if (!entry) return;
@@ -2269,15 +4898,13 @@ app.get('/api/exportOrdersExcel', async (req, res) => {
           : 'أكثر من مستخدم';
 
       const createdAtStr = entry.createdAt
-        ? entry.createdAt.toLocaleString('sv-SE', {
-            timeZone: 'Africa/Cairo',
-          })
+        ? formatDateTime(entry.createdAt, req.timezone)
         : '';
 
       entry.items.forEach((item) => {
         worksheet.addRow({
           serial: entry.serial,
-          status: entry.status,
+          ...fulfilmentExportFields(item.status, fulfilmentBySerial[serial]),
           branch: entry.branchName,
           requestedBy,
           createdAt: createdAtStr,
@@ -2287,6 +4914,8 @@ app.get('/api/exportOrdersExcel', async (req, res) => {
           quantity: item.quantity,
           unitPrice: item.unitPrice,
           subtotal: item.subtotal,
+          returnedQty: item.returnedQty,
+          netQty: item.netQty,
         });
       });
 
@@ -2319,35 +4948,22 @@ app.get('/api/exportOrdersExcel', async (req, res) => {
 
 /**
  * GET /api/exportOrderExcel
- * Query: ?username=...&serial=AA10
+ * Query: ?serial=AA10 (+ optional month / from / to, as in ordersSummary)
  * Only L2 users. Exports ONE order (any status) as .xlsx.
  */
-app.get('/api/exportOrderExcel', async (req, res) => {
+app.get('/api/exportOrderExcel', requireSession, async (req, res) => {
   try {
-    const username = (req.query.username || '').trim();
     const serialQuery = (req.query.serial || '').trim();
 
-    if (!username || !serialQuery) {
+    if (!serialQuery) {
       return res.status(400).json({
         success: false,
         message: 'البيانات غير مكتملة',
       });
     }
 
-    const sheets = getSheetsClient();
-    const credentialsSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
-    const userInfo = await getUserInfoByUsername(
-      sheets,
-      credentialsSheetId,
-      username
-    );
-
-    if (!userInfo) {
-      return res
-        .status(400)
-        .json({ success: false, message: 'المستخدم غير موجود' });
-    }
-    if ((userInfo.level || '').toUpperCase() !== 'L2') {
+    const userInfo = req.user;
+    if (!canViewOrders(userInfo)) {
       return res.status(403).json({
         success: false,
         message: 'غير مسموح بتحميل ملف إكسل للطلبات',
@@ -2355,32 +4971,28 @@ app.get('/api/exportOrderExcel', async (req, res) => {
     }
 
     const BUDGET_SHEET_ID = userInfo.budgetSheetId;
-    const now = new Date();
+    const range = resolveDateRange(req.query, req.timezone);
+    if (!range) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'الفترة المحددة غير صحيحة' });
+    }
     const orders = []; // will contain all statuses for this serial
 
-    function processSheet(rows, statusKey) {
-      if (!rows || rows.length <= 1) return;
-      for (let i = 1; i < rows.length; i++) {
-        const row = rows[i];
-        const cell = row[0];
-        const date = !cell
-          ? null
-          : !isNaN(cell) && Number(cell) > 30000
-          ? serialToDate(Number(cell))
-          : new Date(cell);
-        if (!date || !isSameMonth(date, now)) continue;
-
-        const branchName = (row[1] || '').toString().trim();
+    function processLines(lines, statusKey) {
+      for (const line of lines) {
+        if (!isLineInPeriod(line, statusKey.toLowerCase(), range)) continue;
+        const date = parseSheetDate(line.date, req.timezone);
+
+        const branchName = line.branch;
         if (!branchName) continue;
+        if (!isBranchInScope(userInfo, branchName)) continue;
 
-        const requestedByVal = (row[2] || '').toString().trim();
-        const productCode = row[3];
-        const productName = row[4];
-        const unitPrice = parseFloat(row[5]) || 0;
-        const qty = parseInt(row[8]) || 0;
-        const subtotal = parseFloat(row[6]) || unitPrice * qty;
-        const category = row[7] || '';
-        const serial = (row[10] || '').toString().trim();
+        const requestedByVal = line.username;
+        const { productCode, productName, unitPrice, subtotal, category } =
+          line;
+        const qty = line.quantity;
+        const serial = line.serial;
         if (!serial || serial !== serialQuery) continue;
 
         let entry = orders.find(
@@ -2411,33 +5023,32 @@ app.get('/api/exportOrderExcel', async (req, res) => {
           quantity: qty,
           unitPrice,
           subtotal,
+          ...returnFields(statusKey, line, returnedByLineId),
         });
       }
     }
 
-    // Read sheets and collect this serial from all statuses
-    const waitingResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Waiting for Approval',
-    });
-    processSheet(waitingResp.data.values || [], 'Waiting');
-
-    const finalResp = await sheets.spreadsheets.values.get({
-      spreadsheetId: BUDGET_SHEET_ID,
-      range: 'Final Orders',
-    });
-    processSheet(finalResp.data.values || [], 'Approved');
-
-    try {
-      const cancelledResp = await sheets.spreadsheets.values.get({
-        spreadsheetId: BUDGET_SHEET_ID,
-        range: 'Cancelled Orders',
-      });
-      processSheet(cancelledResp.data.values || [], 'Cancelled');
-    } catch (e) {
-      logDebug('Cancelled Orders sheet read failed (maybe missing)', {
-        error: e.message,
-      });
+    // Collect this serial from all statuses (warehouse users: approved only)
+    const warehouseOnly = !isApprover(userInfo);
+    const storage = getStorage();
+    // Read before any processLines call: it fills the Returned / Net columns
+    const finalLines = await storage.orders.list(BUDGET_SHEET_ID, 'approved');
+    const returnedByLineId = await getReturnedByLineId(
+      BUDGET_SHEET_ID,
+      finalLines
+    );
+    if (!warehouseOnly) {
+      processLines(
+        await storage.orders.list(BUDGET_SHEET_ID, 'waiting'),
+        'Waiting'
+      );
+    }
+    processLines(finalLines, 'Approved');
+    if (!warehouseOnly) {
+      processLines(
+        await storage.orders.list(BUDGET_SHEET_ID, 'cancelled'),
+        'Cancelled'
+      );
     }
 
     if (orders.length === 0) {
@@ -2463,8 +5074,17 @@ app.get('/api/exportOrderExcel', async (req, res) => {
       { header: 'Quantity', key: 'quantity', width: 10 },
       { header: 'Unit Price', key: 'unitPrice', width: 14 },
       { header: 'Subtotal', key: 'subtotal', width: 14 },
+      { header: 'Returned Qty', key: 'returnedQty', width: 13 },
+      { header: 'Net Qty', key: 'netQty', width: 10 },
+      { header: 'Processing At', key: 'processingAt', width: 20 },
+      { header: 'Shipped At', key: 'shippedAt', width: 20 },
+      { header: 'Delivered At', key: 'deliveredAt', width: 20 },
     ];
 
+    const fulfilment = (
+      await getFulfilmentBySerial(BUDGET_SHEET_ID, [serialQuery])
+    )[serialQuery];
+
     orders.forEach((entry) => {
       const creators = Array.from(entry.requestors);
       const requestedBy =
@@ -2475,15 +5095,13 @@ app.get('/api/exportOrderExcel', async (req, res) => {
           : 'أكثر من مستخدم';
 
       const createdAtStr = entry.createdAt
-        ? entry.createdAt.toLocaleString('sv-SE', {
-            timeZone: 'Africa/Cairo',
-          })
+        ? formatDateTime(entry.createdAt, req.timezone)
         : '';
 
       entry.items.forEach((item) => {
         worksheet.addRow({
           serial: entry.serial,
-          status: entry.status,
+          ...fulfilmentExportFields(entry.status, fulfilment),
           branch: entry.branchName,
           requestedBy,
           createdAt: createdAtStr,
@@ -2493,6 +5111,8 @@ app.get('/api/exportOrderExcel', async (req, res) => {
           quantity: item.quantity,
           unitPrice: item.unitPrice,
           subtotal: item.subtotal,
+          returnedQty: item.returnedQty,
+          netQty: item.netQty,
         });
       });
 
@@ -2523,6 +5143,244 @@ app.get('/api/exportOrderExcel', async (req, res) => {
   }
 });
 
+/* ========================================================================== */
+/* === [6f] Fulfilment: warehouse progress and branch receipt              === */
+/* ========================================================================== */
+// Approved lines of one serial (any month), [] when it is not a final order
+async function approvedLinesOf(spreadsheetId, serial) {
+  return (await getStorage().orders.list(spreadsheetId, 'approved')).filter(
+    (l) => l.serial === serial
+  );
+}
+
+/**
+ * POST /api/advanceFulfilment
+ * Body: { serial, stage? } – stage "processing" or "shipped" (default: next one).
+ * Warehouse users (level WH) and approvers.
+ */
+app.post('/api/advanceFulfilment', requireSession, async (req, res) => {
+  try {
+    const serial = (req.body.serial || '').toString().trim();
+    const stage = (req.body.stage || '').toString().trim().toLowerCase();
+    if (!serial) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'البيانات غير مكتملة' });
+    }
+
+    const userInfo = req.user;
+    if (!canViewOrders(userInfo)) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح بتحديث حالة التوريد',
+      });
+    }
+
+    const BUDGET_SHEET_ID = userInfo.budgetSheetId;
+    const lines = await approvedLinesOf(BUDGET_SHEET_ID, serial);
+    if (lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'لم يتم العثور على طلب معتمد بهذا الرقم',
+      });
+    }
+    if (!isBranchInScope(userInfo, lines[0].branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح بتحديث حالة توريد طلبات هذا الفرع',
+      });
+    }
+
+    const result = await advanceFulfilment(
+      BUDGET_SHEET_ID,
+      serial,
+      userInfo,
+      req.timezone,
+      { stage, allowed: WAREHOUSE_STAGES }
+    );
+    if (!result.ok) {
+      return res
+        .status(result.status)
+        .json({ success: false, message: result.message });
+    }
+
+    logDebug('Fulfilment advanced', {
+      serial,
+      stage: result.fulfilment.stage,
+      username: userInfo.username,
+    });
+    res.json({ success: true, serial, fulfilment: result.fulfilment });
+  } catch (err) {
+    logDebug('Error in advanceFulfilment', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء تحديث حالة التوريد',
+    });
+  }
+});
+
+/**
+ * POST /api/confirmReceipt
+ * Body: { serial } – the branch confirms a shipped order arrived (-> delivered).
+ */
+app.post('/api/confirmReceipt', requireSession, async (req, res) => {
+  try {
+    const serial = (req.body.serial || '').toString().trim();
+    if (!serial) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'البيانات غير مكتملة' });
+    }
+
+    const userInfo = req.user;
+    const BUDGET_SHEET_ID = userInfo.budgetSheetId;
+    const lines = await approvedLinesOf(BUDGET_SHEET_ID, serial);
+    if (lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'لم يتم العثور على طلب معتمد بهذا الرقم',
+      });
+    }
+    if (!canActForBranch(userInfo, lines[0].branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بتأكيد استلام طلب هذا الفرع',
+      });
+    }
+
+    const result = await advanceFulfilment(
+      BUDGET_SHEET_ID,
+      serial,
+      userInfo,
+      req.timezone,
+      { stage: 'delivered', allowed: ['delivered'], after: 'shipped' }
+    );
+    if (!result.ok) {
+      return res
+        .status(result.status)
+        .json({ success: false, message: result.message });
+    }
+
+    logDebug('Receipt confirmed', { serial, username: userInfo.username });
+    res.json({ success: true, serial, fulfilment: result.fulfilment });
+  } catch (err) {
+    logDebug('Error in confirmReceipt', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء تأكيد الاستلام',
+    });
+  }
+});
+
+/* ========================================================================== */
+/* === [6g] L2: Webhook dead letters (see [2o])                            === */
+/* ========================================================================== */
+// Branch of the order a dead letter was about ('' when the payload is unreadable)
+function deadLetterBranch(entry) {
+  try {
+    return JSON.parse(entry.payload).order.branch || '';
+  } catch (err) {
+    return '';
+  }
+}
+
+// GET /api/webhookDeadLetters -> { success, entries: [{ id, date, eventId, event,
+//   serial, url, attempts, error }] } (newest first, without the payload; only
+//   the branches of the approver's scope, see isBranchInScope)
+app.get('/api/webhookDeadLetters', requireSession, async (req, res) => {
+  try {
+    if (!isApprover(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح بعرض الإشعارات الفاشلة',
+      });
+    }
+
+    const entries = (
+      await getStorage().deadLetters.list(req.user.budgetSheetId)
+    )
+      .filter((entry) => isBranchInScope(req.user, deadLetterBranch(entry)))
+      .map(({ payload, ...entry }) => entry)
+      .reverse();
+
+    res.json({ success: true, entries });
+  } catch (err) {
+    logDebug('Error in webhookDeadLetters', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء تحميل الإشعارات الفاشلة',
+    });
+  }
+});
+
+// POST /api/redeliverWebhook { id } – sends a dead letter again (same event id,
+// current secret of its URL) in the background; a new failure adds a new row.
+app.post('/api/redeliverWebhook', requireSession, async (req, res) => {
+  try {
+    const id = (req.body.id || '').toString();
+    if (!id) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'البيانات غير مكتملة' });
+    }
+    if (!isApprover(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح بإعادة إرسال الإشعارات',
+      });
+    }
+
+    const BUDGET_SHEET_ID = req.user.budgetSheetId;
+    const storage = getStorage();
+    const entry = (await storage.deadLetters.list(BUDGET_SHEET_ID)).find(
+      (e) => String(e.id) === id
+    );
+    if (!entry) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'الإشعار غير موجود' });
+    }
+    if (!isBranchInScope(req.user, deadLetterBranch(entry))) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بإعادة إرسال إشعارات هذا الفرع',
+      });
+    }
+    const endpoint = (await storage.webhooks.list(BUDGET_SHEET_ID)).find(
+      (w) => w.url === entry.url
+    );
+    if (!endpoint) {
+      return res.status(400).json({
+        success: false,
+        message: 'هذا الرابط لم يعد موجوداً في قائمة Webhooks',
+      });
+    }
+
+    webhookDispatcher
+      .deliver(
+        { ...endpoint, budgetSheetId: BUDGET_SHEET_ID },
+        JSON.parse(entry.payload)
+      )
+      .catch((err) => {
+        logDebug('Webhook redelivery failed', { id, error: err.message });
+      });
+
+    logDebug('Webhook redelivery queued', {
+      id,
+      url: entry.url,
+      event: entry.event,
+      by: req.user.username,
+    });
+    res.json({ success: true });
+  } catch (err) {
+    logDebug('Error in redeliverWebhook', { error: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء إعادة إرسال الإشعار',
+    });
+  }
+});
+
 /* ========================================================================== */
 /* === [7] Serve Frontend (SPA)                                            === */
 /* ========================================================================== */
@@ -2536,3 +5394,15 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () =>
   logDebug(`Server running on http://localhost:${PORT}`)
 );
+
+// Approval SLA scheduler (see [2p])
+const SLA_CHECK_MINUTES = parseFloat(
+  process.env.APPROVAL_SLA_CHECK_MINUTES ?? '15'
+);
+if (SLA_CHECK_MINUTES > 0) {
+  setInterval(() => {
+    runApprovalSla().catch((err) =>
+      logDebug('Approval SLA run failed', { error: err.message })
+    );
+  }, SLA_CHECK_MINUTES * 60 * 1000).unref();
+}
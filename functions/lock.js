@@ -0,0 +1,29 @@
+// === In-process keyed mutex ===
+// runExclusive(key, fn) runs fn only after every earlier call with the same key
+// has settled. Different keys run in parallel. Only protects a single Node
+// process; several instances writing the same spreadsheet still race.
+function createKeyedMutex() {
+  const tails = new Map(); // key -> promise of the last queued task
+
+  async function runExclusive(key, fn) {
+    const previous = tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise((resolve) => {
+      release = resolve;
+    });
+    const tail = previous.then(() => current);
+    tails.set(key, tail);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (tails.get(key) === tail) tails.delete(key);
+    }
+  }
+
+  return { runExclusive };
+}
+
+module.exports = { createKeyedMutex };
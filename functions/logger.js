@@ -0,0 +1,10 @@
+// === Logger (shared by the app and the storage backends) ===
+function logDebug(msg, data = null) {
+  const entry =
+    `[${new Date().toISOString()}] ${msg}` +
+    (data !== null ? `: ${JSON.stringify(data)}` : '');
+  console.log(entry);
+  // fs.appendFileSync('server-debug.log', entry + '\n');
+}
+
+module.exports = { logDebug };
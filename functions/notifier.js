@@ -0,0 +1,198 @@
+// === Order e-mails (SMTP) ===
+// SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS / SMTP_FROM.
+// Without SMTP_HOST nothing is sent: messages are only logged, so local runs
+// need no mail server. A local catcher works as is, e.g. MailHog or
+// smtp4dev with SMTP_HOST=localhost SMTP_PORT=1025.
+const nodemailer = require('nodemailer');
+const { logDebug } = require('./logger');
+
+const EVENT_TITLES = {
+  ar: {
+    submitted: 'طلب جديد',
+    'awaiting-approval': 'طلب بانتظار موافقتك',
+    step_approved: 'تمت الموافقة على الطلب وبانتظار المستوى التالي',
+    approved: 'تم اعتماد الطلب',
+    edited: 'تم تعديل الطلب',
+    rejected: 'تم استبعاد بنود من الطلب',
+    cancelled: 'تم إلغاء الطلب',
+    withdrawn: 'تم سحب الطلب بواسطة الفرع',
+    reminder: 'تذكير: طلب متأخر بانتظار موافقتك',
+    escalated: 'تصعيد: طلب متأخر عن موعد الموافقة',
+  },
+  en: {
+    submitted: 'New order',
+    'awaiting-approval': 'Order awaiting your approval',
+    step_approved: 'Order approved, awaiting the next level',
+    approved: 'Order approved',
+    edited: 'Order edited',
+    rejected: 'Lines removed from order',
+    cancelled: 'Order cancelled',
+    withdrawn: 'Order withdrawn by the branch',
+    reminder: 'Reminder: overdue order awaiting your approval',
+    escalated: 'Escalated: order overdue for approval',
+  },
+};
+
+const LABELS = {
+  ar: {
+    serial: 'رقم الطلب',
+    branch: 'الفرع',
+    by: 'بواسطة',
+    status: 'الحالة',
+    note: 'ملاحظة',
+    age: 'مدة الانتظار',
+    hours: (n) => `${n} ساعة`,
+    code: 'الكود',
+    product: 'الصنف',
+    qty: 'الكمية',
+    price: 'السعر',
+    subtotal: 'الإجمالي',
+    total: 'إجمالي الطلب',
+    waiting: (step) => `بانتظار موافقة المستوى ${step}`,
+    final: 'طلب نهائي',
+    closed: 'ملغي',
+  },
+  en: {
+    serial: 'Order',
+    branch: 'Branch',
+    by: 'By',
+    status: 'Status',
+    note: 'Note',
+    age: 'Waiting for',
+    hours: (n) => `${n} hours`,
+    code: 'Code',
+    product: 'Product',
+    qty: 'Qty',
+    price: 'Unit price',
+    subtotal: 'Subtotal',
+    total: 'Order total',
+    waiting: (step) => `Waiting for ${step} approval`,
+    final: 'Final order',
+    closed: 'Cancelled',
+  },
+};
+
+const escapeHtml = (s) =>
+  String(s === undefined || s === null ? '' : s).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[
+        c
+      ]
+  );
+
+const money = (n) => (Number(n) || 0).toFixed(2);
+
+function statusText(L, order) {
+  if (order.status === 'waiting') return L.waiting(order.approvalStep || 'L2');
+  if (order.status === 'approved') return L.final;
+  return L.closed;
+}
+
+/**
+ * { subject, text, html } for one order event.
+ * order: { serial, branch, status, approvalStep, lines, actor, note,
+ *          ageHours? }
+ * lang: 'ar' (default, right-to-left) or 'en'.
+ */
+function renderOrderEmail(event, order, lang = 'ar') {
+  const key = lang === 'en' ? 'en' : 'ar';
+  const L = LABELS[key];
+  const title = EVENT_TITLES[key][event] || event;
+  const lines = order.lines || [];
+  const total = lines.reduce((sum, l) => sum + (Number(l.subtotal) || 0), 0);
+
+  const subject = `${title}: ${order.serial} – ${order.branch}`;
+  const facts = [
+    [L.serial, order.serial],
+    [L.branch, order.branch],
+    [L.status, statusText(L, order)],
+    [L.by, order.actor],
+  ];
+  if (order.ageHours) facts.push([L.age, L.hours(Math.floor(order.ageHours))]);
+  if (order.note) facts.push([L.note, order.note]);
+
+  const text = [
+    title,
+    '',
+    ...facts.map(([k, v]) => `${k}: ${v}`),
+    '',
+    ...lines.map(
+      (l) =>
+        `- ${l.productCode} ${l.productName}: ${l.quantity} × ${money(
+          l.unitPrice
+        )} = ${money(l.subtotal)}`
+    ),
+    '',
+    `${L.total}: ${money(total)}`,
+  ].join('\n');
+
+  const dir = key === 'ar' ? 'rtl' : 'ltr';
+  const cell = 'style="border:1px solid #ccc;padding:4px 8px"';
+  const html = `<div dir="${dir}" style="font-family:Arial,sans-serif">
+<h3>${escapeHtml(title)}</h3>
+<p>${facts
+    .map(([k, v]) => `<b>${escapeHtml(k)}:</b> ${escapeHtml(v)}`)
+    .join('<br>')}</p>
+<table style="border-collapse:collapse">
+<tr>${[L.code, L.product, L.qty, L.price, L.subtotal]
+    .map((h) => `<th ${cell}>${escapeHtml(h)}</th>`)
+    .join('')}</tr>
+${lines
+  .map(
+    (l) =>
+      `<tr>${[
+        l.productCode,
+        l.productName,
+        l.quantity,
+        money(l.unitPrice),
+        money(l.subtotal),
+      ]
+        .map((v) => `<td ${cell}>${escapeHtml(v)}</td>`)
+        .join('')}</tr>`
+  )
+  .join('\n')}
+<tr><th ${cell} colspan="4">${escapeHtml(L.total)}</th><th ${cell}>${money(
+    total
+  )}</th></tr>
+</table>
+</div>`;
+
+  return { subject, text, html };
+}
+
+let transport = null;
+function getTransport() {
+  if (!process.env.SMTP_HOST) return null;
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: /^(1|y|yes|true)$/i.test(process.env.SMTP_SECURE || ''),
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' }
+        : undefined,
+    });
+  }
+  return transport;
+}
+
+// Sends one message; resolves false (after logging) when SMTP is not set up.
+async function sendMail({ to, subject, text, html }) {
+  const smtp = getTransport();
+  if (!smtp) {
+    logDebug('SMTP_HOST not set, e-mail not sent', { to, subject });
+    return false;
+  }
+  const info = await smtp.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    text,
+    html,
+  });
+  logDebug('E-mail sent', { to, subject, messageId: info.messageId });
+  return true;
+}
+
+module.exports = { renderOrderEmail, sendMail };
@@ -0,0 +1,357 @@
+// === Local JSON file storage backend (offline development and demos) ===
+// Everything lives in one JSON file (LOCAL_DATA_FILE). When the file does not
+// exist it is created from local-data.sample.json next to this module.
+//
+// {
+//   "clients": { "<tab>": { "budgetSheetId": "...", "users": [ { username, password, branch, ... } ] } },
+//   "spreadsheets": { "<budgetSheetId>": { "serial": "", "settings": {}, "budgets": [...], "limits": [...], "paperQuotas": [...], "returns": [...], "delegations": [...], "webhooks": [...], "catalog": [...], "orders": { "waiting": [], ... }, "logs": { "approvals": [], "notes": [], "audit": [], "fulfilment": [], "deadLetters": [] } } }
+// }
+const fs = require('fs');
+const path = require('path');
+const { logDebug } = require('../logger');
+const { ORDER_STATUSES } = require('./orderStatuses');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', '..', 'local-data.json');
+const SAMPLE_DATA_FILE = path.join(__dirname, 'local-data.sample.json');
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+function createFileStorage() {
+  const dataFile = process.env.LOCAL_DATA_FILE
+    ? path.resolve(process.env.LOCAL_DATA_FILE)
+    : DEFAULT_DATA_FILE;
+
+  let data = null;
+  let writeChain = Promise.resolve();
+
+  function load() {
+    if (data) return data;
+    if (!fs.existsSync(dataFile)) {
+      fs.copyFileSync(SAMPLE_DATA_FILE, dataFile);
+      logDebug('Local data file created from sample', { dataFile });
+    }
+    data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    data.clients = data.clients || {};
+    data.spreadsheets = data.spreadsheets || {};
+    return data;
+  }
+
+  // Writes are queued so concurrent requests never interleave a half-written file.
+  function persist() {
+    const snapshot = JSON.stringify(data, null, 2);
+    // A failed write must not block the ones queued after it; each caller
+    // still gets the outcome of its own write
+    writeChain = writeChain
+      .catch(() => {})
+      .then(() => {
+        const tmp = `${dataFile}.tmp`;
+        fs.writeFileSync(tmp, snapshot);
+        fs.renameSync(tmp, dataFile);
+      });
+    return writeChain;
+  }
+
+  function spreadsheet(budgetSheetId) {
+    const db = load();
+    if (!db.spreadsheets[budgetSheetId]) {
+      db.spreadsheets[budgetSheetId] = {};
+    }
+    const s = db.spreadsheets[budgetSheetId];
+    s.serial = s.serial || '';
+    s.settings = s.settings || {};
+    s.budgets = s.budgets || [];
+    s.limits = s.limits || [];
+    s.paperQuotas = s.paperQuotas || [];
+    s.webhooks = s.webhooks || [];
+    s.returns = s.returns || [];
+    s.delegations = s.delegations || [];
+    s.logs = s.logs || {};
+    s.catalog = s.catalog || [];
+    s.orders = s.orders || {};
+    ORDER_STATUSES.forEach((st) => {
+      s.orders[st] = s.orders[st] || [];
+    });
+    s.nextLineId = s.nextLineId || 1;
+    return s;
+  }
+
+  function userRecord(tab, client, u, i) {
+    return {
+      username: (u.username || '').toString().trim(),
+      password: (u.password || '').toString(),
+      tab,
+      rowNumber: i + 2, // same numbering as the credentials sheet
+      branch: (u.branch || '').toString().trim(),
+      restricted: !!u.restricted,
+      level: (u.level || '').toString().trim().toUpperCase() || 'L1',
+      mustChangePassword: !!u.mustChangePassword,
+      email: (u.email || '').toString().trim(),
+      allowedBranches: (Array.isArray(u.allowedBranches)
+        ? u.allowedBranches
+        : (u.allowedBranches || '').toString().split(',')
+      )
+        .map((b) => b.toString().trim())
+        .filter((b) => b),
+      disabled: !!u.disabled,
+      paperMode: !!u.paperMode,
+      budgetSheetId: client.budgetSheetId || '',
+    };
+  }
+
+  const users = {
+    async list() {
+      const out = [];
+      Object.entries(load().clients).forEach(([tab, client]) => {
+        (client.users || []).forEach((u, i) => {
+          if (!u.username && !u.password) return;
+          out.push(userRecord(tab, client, u, i));
+        });
+      });
+      return out;
+    },
+
+    async findByUsername(username) {
+      const all = await users.list();
+      return all.find((u) => u.username === username) || null;
+    },
+
+    async update(user, patch) {
+      const client = load().clients[user.tab];
+      const u = client && client.users[user.rowNumber - 2];
+      if (!u) throw new Error(`User row not found: ${user.tab}#${user.rowNumber}`);
+      Object.assign(u, patch);
+      await persist();
+    },
+
+    async append(tab, user) {
+      const client = load().clients[tab];
+      if (!client) throw new Error(`Client tab not found: ${tab}`);
+      client.users = client.users || [];
+      client.users.push({ ...user });
+      await persist();
+      return client.users.length + 1;
+    },
+  };
+
+  const catalog = {
+    async list(budgetSheetId) {
+      return clone(spreadsheet(budgetSheetId).catalog)
+        .filter((p) => p.code)
+        .map((p) => ({
+          code: p.code,
+          name: p.name,
+          category: p.category,
+          price: parseFloat(p.price) || 0,
+          imageUrl: p.imageUrl || '',
+          maxQty:
+            p.maxQty === undefined || p.maxQty === null || p.maxQty === ''
+              ? null
+              : parseInt(p.maxQty) || 0,
+        }));
+    },
+  };
+
+  const limits = {
+    async list(budgetSheetId) {
+      return clone(spreadsheet(budgetSheetId).limits)
+        .filter((l) => l.branch && l.productCode)
+        .map((l) => ({
+          branch: l.branch.toString().trim(),
+          productCode: l.productCode.toString().trim(),
+          maxQty: parseInt(l.maxQty) || 0,
+        }));
+    },
+  };
+
+  const orders = {
+    async list(budgetSheetId, status) {
+      return clone(spreadsheet(budgetSheetId).orders[status] || []);
+    },
+
+    async append(budgetSheetId, status, lines) {
+      if (!Array.isArray(lines) || lines.length === 0) return;
+      const s = spreadsheet(budgetSheetId);
+      lines.forEach((line) => {
+        s.orders[status].push({ ...clone(line), lineId: s.nextLineId++ });
+      });
+      await persist();
+    },
+
+    async update(budgetSheetId, status, updates) {
+      const list = spreadsheet(budgetSheetId).orders[status];
+      updates.forEach(({ lineId, ...fields }) => {
+        const line = list.find((l) => l.lineId === lineId);
+        if (line) Object.assign(line, fields);
+      });
+      await persist();
+    },
+
+    async remove(budgetSheetId, status, lineIds) {
+      if (!lineIds.length) return;
+      const s = spreadsheet(budgetSheetId);
+      const ids = new Set(lineIds);
+      s.orders[status] = s.orders[status].filter((l) => !ids.has(l.lineId));
+      await persist();
+    },
+  };
+
+  const serials = {
+    async get(budgetSheetId) {
+      return spreadsheet(budgetSheetId).serial;
+    },
+
+    async set(budgetSheetId, value) {
+      spreadsheet(budgetSheetId).serial = value;
+      await persist();
+    },
+  };
+
+  const settings = {
+    async get(budgetSheetId) {
+      const out = {};
+      Object.entries(spreadsheet(budgetSheetId).settings).forEach(([k, v]) => {
+        out[k] = v === undefined || v === null ? '' : v.toString().trim();
+      });
+      return out;
+    },
+  };
+
+  const budgets = {
+    async list(budgetSheetId) {
+      return clone(spreadsheet(budgetSheetId).budgets)
+        .filter((b) => b.branch)
+        .map((b) => ({
+          branch: b.branch.toString().trim(),
+          month: (b.month || '').toString().trim(),
+          amount: parseFloat(b.amount) || 0,
+        }));
+    },
+  };
+
+  const paperQuotas = {
+    async list(budgetSheetId) {
+      return clone(spreadsheet(budgetSheetId).paperQuotas)
+        .filter((q) => q.branch)
+        .map((q) => ({
+          branch: q.branch.toString().trim(),
+          month: (q.month || '').toString().trim(),
+          units: parseInt(q.units) || 0,
+        }));
+    },
+  };
+
+  const webhooks = {
+    async list(budgetSheetId) {
+      return clone(spreadsheet(budgetSheetId).webhooks)
+        .filter((w) => w.url)
+        .map((w) => ({
+          url: w.url.toString().trim(),
+          secret: (w.secret || '').toString().trim(),
+          events: Array.isArray(w.events)
+            ? w.events
+            : (w.events || '')
+                .toString()
+                .split(',')
+                .map((e) => e.trim())
+                .filter((e) => e),
+        }));
+    },
+  };
+
+  const returns = {
+    async list(budgetSheetId) {
+      return clone(spreadsheet(budgetSheetId).returns).map((r) => ({
+        ...r,
+        quantity: parseInt(r.quantity) || 0,
+        status: (r.status || 'pending').toString().toLowerCase(),
+      }));
+    },
+
+    async append(budgetSheetId, entries) {
+      if (!Array.isArray(entries) || entries.length === 0) return;
+      const s = spreadsheet(budgetSheetId);
+      entries.forEach((e) => {
+        s.returns.push({ ...clone(e), id: s.returns.length + 2 });
+      });
+      await persist();
+    },
+
+    async decide(budgetSheetId, id, { status, decidedBy, decidedAt, decisionNote }) {
+      const r = spreadsheet(budgetSheetId).returns.find(
+        (x) => String(x.id) === String(id)
+      );
+      if (!r) return;
+      Object.assign(r, { status, decidedBy, decidedAt, decisionNote });
+      await persist();
+    },
+  };
+
+  const delegations = {
+    async list(budgetSheetId) {
+      return clone(spreadsheet(budgetSheetId).delegations);
+    },
+
+    async append(budgetSheetId, entries) {
+      if (!Array.isArray(entries) || entries.length === 0) return;
+      const s = spreadsheet(budgetSheetId);
+      entries.forEach((e) => {
+        s.delegations.push({ ...clone(e), id: s.delegations.length + 2 });
+      });
+      await persist();
+    },
+
+    async revoke(budgetSheetId, id, { revokedBy, revokedAt }) {
+      const d = spreadsheet(budgetSheetId).delegations.find(
+        (x) => String(x.id) === String(id)
+      );
+      if (!d) return;
+      Object.assign(d, { revokedBy, revokedAt });
+      await persist();
+    },
+  };
+
+  // Append-only logs, one array per log name under spreadsheets[id].logs
+  function logCollection(name) {
+    return {
+      async list(budgetSheetId) {
+        const s = spreadsheet(budgetSheetId);
+        return clone(s.logs[name] || []);
+      },
+
+      async append(budgetSheetId, entries) {
+        if (!Array.isArray(entries) || entries.length === 0) return;
+        const s = spreadsheet(budgetSheetId);
+        s.logs[name] = s.logs[name] || [];
+        entries.forEach((e) => {
+          s.logs[name].push({ ...clone(e), id: s.logs[name].length + 2 });
+        });
+        await persist();
+      },
+    };
+  }
+
+  logDebug('Using local file storage', { dataFile });
+  return {
+    name: 'file',
+    users,
+    catalog,
+    orders,
+    serials,
+    settings,
+    budgets,
+    limits,
+    paperQuotas,
+    returns,
+    delegations,
+    approvals: logCollection('approvals'),
+    notes: logCollection('notes'),
+    audit: logCollection('audit'),
+    fulfilment: logCollection('fulfilment'),
+    webhooks,
+    deadLetters: logCollection('deadLetters'),
+  };
+}
+
+module.exports = { createFileStorage };
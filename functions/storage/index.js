@@ -0,0 +1,65 @@
+// === Storage layer ===
+// Routes talk to these repositories only, never to a backend API directly:
+//
+//   users.list() / users.findByUsername(username) / users.update(user, patch)
+//   users.append(tab, user) -> rowNumber (new credentials row)
+//   catalog.list(budgetSheetId) -> [{ code, name, category, price, imageUrl, maxQty (null = no cap) }]
+//   orders.list(budgetSheetId, status) / orders.append(budgetSheetId, status, lines)
+//   orders.update(budgetSheetId, status, [{ lineId, ...fields }])
+//   orders.remove(budgetSheetId, status, lineIds)
+//   serials.get(budgetSheetId) / serials.set(budgetSheetId, value)
+//   settings.get(budgetSheetId) -> { key: value } (per-client "Settings" tab)
+//   budgets.list(budgetSheetId) -> [{ branch, month ('YYYY-MM' or '' = every month), amount }]
+//   limits.list(budgetSheetId) -> [{ branch, productCode, maxQty }] (per-branch monthly caps)
+//   paperQuotas.list(budgetSheetId) -> [{ branch, month ('YYYY-MM' or ''), units }]
+//   returns.list(budgetSheetId) -> [{ id, date, serial, branch, productCode, quantity,
+//     reason, username, status ('pending' | 'approved' | 'rejected'), decidedBy,
+//     decidedAt, decisionNote }] ("Returns" tab)
+//   returns.append(budgetSheetId, entries) (new requests, status 'pending' or 'approved')
+//   returns.decide(budgetSheetId, id, { status, decidedBy, decidedAt, decisionNote })
+//   delegations.list(budgetSheetId) -> [{ id, from, to, startDate, endDate (YYYY-MM-DD),
+//     createdAt, revokedBy, revokedAt }] ("Delegations" tab)
+//   delegations.append(budgetSheetId, entries)
+//   delegations.revoke(budgetSheetId, id, { revokedBy, revokedAt })
+//   approvals.list(budgetSheetId) / approvals.append(budgetSheetId, entries)
+//     append-only log { date, serial, step, username, decision } ("Approval Steps" tab)
+//   notes.list(budgetSheetId) / notes.append(budgetSheetId, entries)
+//     append-only log { date, serial, action, username, note } ("Order Notes" tab)
+//   audit.list(budgetSheetId) / audit.append(budgetSheetId, entries)
+//     append-only log { date, serial, action, username, productCode, before, after,
+//     details } ("Audit Log" tab)
+//   fulfilment.list(budgetSheetId) / fulfilment.append(budgetSheetId, entries)
+//     append-only log { date, serial, stage, username } ("Fulfilment" tab)
+//   webhooks.list(budgetSheetId) -> [{ url, secret, events ([] = every event) }]
+//     ("Webhooks" tab)
+//   deadLetters.list(budgetSheetId) / deadLetters.append(budgetSheetId, entries)
+//     append-only log { date, eventId, event, serial, url, attempts, error, payload }
+//     ("Webhook Dead Letters" tab)
+//
+// status is one of ORDER_STATUSES. An order line is
+//   { lineId, date, branch, username, productCode, productName, unitPrice,
+//     subtotal, category, quantity, note, serial, approvalStep, approvalChain,
+//     escalatedTo }
+// where lineId is opaque (sheet row number or local id).
+//
+// STORAGE_BACKEND selects the implementation: "sheets" (default) or "file".
+const { createSheetsStorage } = require('./sheetsStorage');
+const { createFileStorage } = require('./fileStorage');
+const { ORDER_STATUSES } = require('./orderStatuses');
+
+let instance = null;
+
+function getStorage() {
+  if (instance) return instance;
+  const backend = (process.env.STORAGE_BACKEND || 'sheets').toLowerCase();
+  if (backend === 'file') {
+    instance = createFileStorage();
+  } else if (backend === 'sheets') {
+    instance = createSheetsStorage();
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+  }
+  return instance;
+}
+
+module.exports = { getStorage, ORDER_STATUSES };
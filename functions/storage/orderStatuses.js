@@ -0,0 +1,6 @@
+// === Order statuses ===
+// One orders collection per status (sheet tab or file list). Kept apart from
+// index.js so the backends can require it without a require cycle.
+const ORDER_STATUSES = ['waiting', 'approved', 'cancelled'];
+
+module.exports = { ORDER_STATUSES };
@@ -0,0 +1,816 @@
+// === Google Sheets storage backend ===
+// Master credentials spreadsheet (GOOGLE_CREDENTIALS_SHEET_ID): one tab per client.
+// Client spreadsheet (id in F2 of the client tab): orders, catalog and serial tabs.
+const fs = require('fs');
+const { google } = require('googleapis');
+const { logDebug } = require('../logger');
+const { createKeyedMutex } = require('../lock');
+
+const SERVICE_ACCOUNT_JSON =
+  process.env.GOOGLE_SERVICE_ACCOUNT_JSON || 'service-account.json';
+
+const ORDER_TABS = {
+  waiting: 'Waiting for Approval',
+  approved: 'Final Orders',
+  cancelled: 'Cancelled Orders',
+};
+
+// Order tabs: A..N, one line per product
+const ORDER_COLUMNS = [
+  'date', // A
+  'branch', // B
+  'username', // C
+  'productCode', // D
+  'productName', // E
+  'unitPrice', // F
+  'subtotal', // G
+  'category', // H
+  'quantity', // I
+  'note', // J
+  'serial', // K
+  'approvalStep', // L – level the waiting order is waiting on (e.g. L2)
+  'approvalChain', // M – route fixed at submission, e.g. "L2,L3"
+  'escalatedTo', // N – level or username an overdue order was escalated to
+];
+
+// "Returns" tab: A..K, one row per return request; H..K are filled on sign-off
+const RETURN_COLUMNS = [
+  'date', // A
+  'serial', // B
+  'branch', // C
+  'productCode', // D
+  'quantity', // E – units returned
+  'reason', // F
+  'username', // G – who asked for the return
+  'status', // H – pending / approved / rejected
+  'decidedBy', // I
+  'decidedAt', // J
+  'decisionNote', // K
+];
+const LAST_RETURN_COLUMN = 'K';
+
+// "Delegations" tab: A..G, one row per delegation; F..G are filled on revoke
+const DELEGATION_COLUMNS = [
+  'from', // A – approver whose rights are delegated
+  'to', // B – user who holds them
+  'startDate', // C – YYYY-MM-DD, first day
+  'endDate', // D – YYYY-MM-DD, last day
+  'createdAt', // E
+  'revokedBy', // F
+  'revokedAt', // G
+];
+const LAST_DELEGATION_COLUMN = 'G';
+
+// Append-only log tabs (row 2 onwards), one record per row
+const LOG_TABS = {
+  approvals: {
+    sheetName: 'Approval Steps',
+    columns: ['date', 'serial', 'step', 'username', 'decision'],
+  },
+  notes: {
+    sheetName: 'Order Notes',
+    columns: ['date', 'serial', 'action', 'username', 'note'],
+  },
+  audit: {
+    sheetName: 'Audit Log',
+    columns: [
+      'date',
+      'serial',
+      'action',
+      'username',
+      'productCode',
+      'before',
+      'after',
+      'details',
+    ],
+  },
+  fulfilment: {
+    sheetName: 'Fulfilment',
+    columns: ['date', 'serial', 'stage', 'username'],
+  },
+  deadLetters: {
+    sheetName: 'Webhook Dead Letters',
+    columns: [
+      'date',
+      'eventId',
+      'event',
+      'serial',
+      'url',
+      'attempts',
+      'error',
+      'payload', // the JSON body that was sent
+    ],
+  },
+};
+
+// Credentials tabs (row 2 onwards). BudgetSheetId lives in F2.
+const USER_COLUMNS = {
+  username: 'A',
+  password: 'B',
+  branch: 'C',
+  restricted: 'D',
+  level: 'E',
+  mustChangePassword: 'G',
+  email: 'H', // order notifications, see notifier.js
+  allowedBranches: 'I', // approvers: comma-separated branches, empty = all
+  disabled: 'J', // Y = may not log in (admin console)
+  paperMode: 'Z',
+};
+
+const EXCLUDED_MASTER_TABS = new Set(['Config', 'Readme']);
+
+function columnLetter(index) {
+  let n = index + 1;
+  let out = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    out = String.fromCharCode(65 + rem) + out;
+    n = Math.floor((n - 1) / 26);
+  }
+  return out;
+}
+
+const LAST_ORDER_COLUMN = columnLetter(ORDER_COLUMNS.length - 1);
+
+function getSheetsClient() {
+  const creds = JSON.parse(fs.readFileSync(SERVICE_ACCOUNT_JSON, 'utf8'));
+  const auth = new google.auth.GoogleAuth({
+    credentials: creds,
+    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+  });
+  return google.sheets({ version: 'v4', auth });
+}
+
+function str(v) {
+  return v === undefined || v === null ? '' : v.toString();
+}
+
+function yes(v) {
+  return str(v).trim().toUpperCase() === 'Y';
+}
+
+function toCell(value) {
+  if (typeof value === 'boolean') return value ? 'Y' : 'N';
+  if (Array.isArray(value)) return value.join(', ');
+  return value === undefined || value === null ? '' : value;
+}
+
+function orderLineFromRow(row, rowNumber) {
+  const unitPrice = parseFloat(row[5]) || 0;
+  const quantity = parseInt(row[8]) || 0;
+  return {
+    lineId: rowNumber,
+    date: row[0],
+    branch: str(row[1]).trim(),
+    username: str(row[2]).trim(),
+    productCode: row[3],
+    productName: row[4],
+    unitPrice,
+    subtotal: parseFloat(row[6]) || unitPrice * quantity,
+    category: row[7] || '',
+    quantity,
+    note: str(row[9]),
+    serial: str(row[10]).trim(),
+    approvalStep: str(row[11]).trim().toUpperCase(),
+    approvalChain: str(row[12]).trim().toUpperCase(),
+    escalatedTo: str(row[13]).trim(),
+  };
+}
+
+// Order rows are written USER_ENTERED so dates and numbers get their sheet
+// types; free text (notes, names) that would parse as a formula is kept
+// literal by Sheets' leading apostrophe.
+function literalText(value) {
+  return typeof value === 'string' && /^[=+\-@]/.test(value)
+    ? `'${value}`
+    : value;
+}
+
+function orderLineToRow(line) {
+  return ORDER_COLUMNS.map((key) => literalText(toCell(line[key])));
+}
+
+// sheets: Google Sheets API client (tests pass an in-memory stand-in)
+function createSheetsStorage(sheets = getSheetsClient()) {
+  const masterSheetId = process.env.GOOGLE_CREDENTIALS_SHEET_ID;
+
+  // Row-addressed writes (append / update / clear) on the same tab must not
+  // interleave: an append computes its start row from the current last row.
+  const tabLock = createKeyedMutex();
+  function withTabLock(spreadsheetId, sheetName, fn) {
+    return tabLock.runExclusive(`${spreadsheetId}::${sheetName}`, fn);
+  }
+
+  /**
+   * Appends rows into sheetName, ALWAYS starting in column A
+   * (first row after the last non-empty cell of column A).
+   * Caller must hold the tab lock. The written range is read back and the
+   * call throws if any row did not land as written (column A and keyColumn).
+   * Free-text tabs pass RAW so nothing typed by users becomes a formula.
+   * Resolves the first written row number.
+   */
+  async function appendRowsFromA(
+    spreadsheetId,
+    sheetName,
+    values,
+    keyColumn,
+    valueInputOption = 'USER_ENTERED'
+  ) {
+    if (!Array.isArray(values) || values.length === 0) return;
+
+    // Read column A only to find last non-empty row
+    const colAResp = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `${sheetName}!A:A`,
+    });
+    const colArows = colAResp.data.values || [];
+
+    let lastRow = 0;
+    for (let i = colArows.length - 1; i >= 0; i--) {
+      const v = colArows[i] && colArows[i][0];
+      if (v !== undefined && v !== null && v.toString().trim() !== '') {
+        lastRow = i + 1; // 1-based row index
+        break;
+      }
+    }
+
+    const startRow = lastRow + 1;
+    const endRow = startRow + values.length - 1;
+    const lastCol = columnLetter(values[0].length - 1);
+    const range = `${sheetName}!A${startRow}:${lastCol}${endRow}`;
+
+    await sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range,
+      valueInputOption,
+      resource: { values },
+    });
+
+    // Verify: every row has column A and the same key value (e.g. serial)
+    const checkResp = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range,
+    });
+    const written = checkResp.data.values || [];
+    const missing = values.filter((row, i) => {
+      const got = written[i] || [];
+      const expected = str(row[keyColumn]).trim();
+      return !str(got[0]).trim() || str(got[keyColumn]).trim() !== expected;
+    });
+    if (missing.length > 0) {
+      logDebug('appendRowsFromA verification failed', {
+        sheetName,
+        startRow,
+        endRow,
+        missing: missing.length,
+      });
+      throw new Error(
+        `Append to ${sheetName} not verified (${missing.length} of ${values.length} rows)`
+      );
+    }
+
+    logDebug('appendRowsFromA wrote rows', {
+      sheetName,
+      startRow,
+      endRow,
+      rows: values.length,
+    });
+    return startRow;
+  }
+
+  async function listClientTabs() {
+    const metaResp = await sheets.spreadsheets.get({
+      spreadsheetId: masterSheetId,
+    });
+    return (metaResp.data.sheets || [])
+      .map((s) => s.properties?.title)
+      .filter((t) => t && !EXCLUDED_MASTER_TABS.has(t));
+  }
+
+  function userFromRow(tab, row, rowNumber, budgetSheetId) {
+    return {
+      username: str(row[0]).trim(),
+      password: str(row[1]),
+      tab,
+      rowNumber,
+      branch: str(row[2]).trim(),
+      restricted: yes(row[3]),
+      level: str(row[4]).trim().toUpperCase() || 'L1',
+      mustChangePassword: yes(row[6]),
+      email: str(row[7]).trim(),
+      allowedBranches: str(row[8])
+        .split(',')
+        .map((b) => b.trim())
+        .filter((b) => b),
+      disabled: yes(row[9]),
+      paperMode: yes(row[25]),
+      budgetSheetId,
+    };
+  }
+
+  const users = {
+    // All users of all client tabs, in sheet order (one batchGet for every tab).
+    async list() {
+      const tabs = await listClientTabs();
+      if (tabs.length === 0) return [];
+      const resp = await sheets.spreadsheets.values.batchGet({
+        spreadsheetId: masterSheetId,
+        ranges: tabs.map((tab) => `${tab}!A2:Z`),
+      });
+      const out = [];
+      (resp.data.valueRanges || []).forEach((range, t) => {
+        const tab = tabs[t];
+        const rows = range.values || [];
+        const budgetSheetId = str(rows[0]?.[5]).trim();
+        rows.forEach((row, i) => {
+          if (!str(row[0]).trim() && !str(row[1])) return;
+          out.push(userFromRow(tab, row, i + 2, budgetSheetId));
+        });
+      });
+      return out;
+    },
+
+    async findByUsername(username) {
+      const all = await users.list();
+      return all.find((u) => u.username === username) || null;
+    },
+
+    // patch keys: see USER_COLUMNS (booleans are written as Y/N)
+    async update(user, patch) {
+      const data = Object.keys(patch)
+        .filter((key) => USER_COLUMNS[key])
+        .map((key) => ({
+          range: `${user.tab}!${USER_COLUMNS[key]}${user.rowNumber}`,
+          values: [[toCell(patch[key])]],
+        }));
+      if (data.length === 0) return;
+      await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: masterSheetId,
+        resource: { valueInputOption: 'RAW', data },
+      });
+    },
+
+    // New row after the last username of the tab: A..E first, then the other
+    // USER_COLUMNS. Column F (BudgetSheetId in F2) is never written.
+    // Resolves the new rowNumber.
+    async append(tab, user) {
+      const head = ['username', 'password', 'branch', 'restricted', 'level'];
+      return withTabLock(masterSheetId, tab, async () => {
+        const rowNumber = await appendRowsFromA(
+          masterSheetId,
+          tab,
+          [head.map((key) => toCell(user[key]))],
+          0,
+          'RAW'
+        );
+        const rest = {};
+        Object.keys(user)
+          .filter((key) => !head.includes(key))
+          .forEach((key) => {
+            rest[key] = user[key];
+          });
+        await users.update({ tab, rowNumber }, rest);
+        return rowNumber;
+      });
+    },
+  };
+
+  // A=code, B=name, C=category, D=price, E=imageUrl, F=MaxQty (monthly cap per branch, empty = none)
+  const catalog = {
+    async list(budgetSheetId) {
+      const resp = await sheets.spreadsheets.values.get({
+        spreadsheetId: budgetSheetId,
+        range: 'Product Catalog',
+      });
+      const rows = resp.data.values || [];
+      const products = [];
+      for (let i = 1; i < rows.length; i++) {
+        const row = rows[i];
+        if (!row[0]) continue;
+        products.push({
+          code: row[0],
+          name: row[1],
+          category: row[2],
+          price: parseFloat(row[3]) || 0,
+          imageUrl: row[4] || '',
+          maxQty: str(row[5]).trim() === '' ? null : parseInt(row[5]) || 0,
+        });
+      }
+      return products;
+    },
+  };
+
+  const paperQuotas = {
+    // "Paper Quotas" tab, row 2 onwards: A=branch, B=month (YYYY-MM, empty =
+    // every month), C=units of paper-category products. Missing tab = none.
+    async list(budgetSheetId) {
+      let rows;
+      try {
+        const resp = await sheets.spreadsheets.values.get({
+          spreadsheetId: budgetSheetId,
+          range: 'Paper Quotas!A2:C',
+        });
+        rows = resp.data.values || [];
+      } catch (err) {
+        logDebug('Paper Quotas sheet read failed (maybe missing)', {
+          error: err.message,
+        });
+        return [];
+      }
+      return rows
+        .filter((r) => str(r[0]).trim() && str(r[2]).trim() !== '')
+        .map((r) => ({
+          branch: str(r[0]).trim(),
+          month: str(r[1]).trim(),
+          units: parseInt(r[2]) || 0,
+        }));
+    },
+  };
+
+  const limits = {
+    // "Product Limits" tab, row 2 onwards: A=branch, B=productCode, C=monthly
+    // max quantity (overrides Product Catalog F for that branch). Missing tab = none.
+    async list(budgetSheetId) {
+      let rows;
+      try {
+        const resp = await sheets.spreadsheets.values.get({
+          spreadsheetId: budgetSheetId,
+          range: 'Product Limits!A2:C',
+        });
+        rows = resp.data.values || [];
+      } catch (err) {
+        logDebug('Product Limits sheet read failed (maybe missing)', {
+          error: err.message,
+        });
+        return [];
+      }
+      return rows
+        .filter((r) => str(r[0]).trim() && str(r[1]).trim() && str(r[2]).trim())
+        .map((r) => ({
+          branch: str(r[0]).trim(),
+          productCode: str(r[1]).trim(),
+          maxQty: parseInt(r[2]) || 0,
+        }));
+    },
+  };
+
+  const orders = {
+    // status: 'waiting' | 'approved' | 'cancelled'. Skips cleared rows.
+    async list(budgetSheetId, status) {
+      const sheetName = ORDER_TABS[status];
+      let rows;
+      try {
+        const resp = await sheets.spreadsheets.values.get({
+          spreadsheetId: budgetSheetId,
+          range: sheetName,
+        });
+        rows = resp.data.values || [];
+      } catch (err) {
+        if (status !== 'cancelled') throw err;
+        logDebug('Cancelled Orders sheet read failed (maybe missing)', {
+          error: err.message,
+        });
+        return [];
+      }
+
+      const lines = [];
+      for (let i = 1; i < rows.length; i++) {
+        const row = rows[i] || [];
+        if (!row[0] && !row[10]) continue;
+        lines.push(orderLineFromRow(row, i + 1));
+      }
+      return lines;
+    },
+
+    async append(budgetSheetId, status, lines) {
+      const sheetName = ORDER_TABS[status];
+      await withTabLock(budgetSheetId, sheetName, () =>
+        appendRowsFromA(
+          budgetSheetId,
+          sheetName,
+          lines.map(orderLineToRow),
+          ORDER_COLUMNS.indexOf('serial')
+        )
+      );
+    },
+
+    // updates: [{ lineId, ...fields }]
+    async update(budgetSheetId, status, updates) {
+      const sheetName = ORDER_TABS[status];
+      const data = [];
+      updates.forEach(({ lineId, ...fields }) => {
+        Object.keys(fields).forEach((key) => {
+          const col = ORDER_COLUMNS.indexOf(key);
+          if (col === -1) return;
+          data.push({
+            range: `${sheetName}!${columnLetter(col)}${lineId}`,
+            values: [[toCell(fields[key])]],
+          });
+        });
+      });
+      if (data.length === 0) return;
+      await withTabLock(budgetSheetId, sheetName, () =>
+        sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: budgetSheetId,
+          resource: { valueInputOption: 'RAW', data },
+        })
+      );
+    },
+
+    // Clears the rows (A..N) so later appends reuse the space after the last row.
+    async remove(budgetSheetId, status, lineIds) {
+      if (!lineIds.length) return;
+      const sheetName = ORDER_TABS[status];
+      const blank = ORDER_COLUMNS.map(() => '');
+      await withTabLock(budgetSheetId, sheetName, () =>
+        sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: budgetSheetId,
+          resource: {
+            valueInputOption: 'RAW',
+            data: lineIds.map((r) => ({
+              range: `${sheetName}!A${r}:${LAST_ORDER_COLUMN}${r}`,
+              values: [blank],
+            })),
+          },
+        })
+      );
+    },
+  };
+
+  const serials = {
+    // Last issued order serial, stored in Serial Numbers!B2
+    async get(budgetSheetId) {
+      const resp = await sheets.spreadsheets.values.get({
+        spreadsheetId: budgetSheetId,
+        range: 'Serial Numbers!B2',
+      });
+      return str(resp.data.values?.[0]?.[0]).trim();
+    },
+
+    async set(budgetSheetId, value) {
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: budgetSheetId,
+        range: 'Serial Numbers!B2',
+        // RAW: the serial starts with the admin-set SerialPrefix
+        valueInputOption: 'RAW',
+        resource: { values: [[value]] },
+      });
+    },
+  };
+
+  const settings = {
+    // Per-client key/value settings: "Settings" tab, A=key, B=value (row 2 onwards).
+    // A missing tab simply means "all defaults".
+    async get(budgetSheetId) {
+      let rows;
+      try {
+        const resp = await sheets.spreadsheets.values.get({
+          spreadsheetId: budgetSheetId,
+          range: 'Settings!A2:B',
+        });
+        rows = resp.data.values || [];
+      } catch (err) {
+        logDebug('Settings sheet read failed (maybe missing)', {
+          error: err.message,
+        });
+        return {};
+      }
+      const out = {};
+      rows.forEach((r) => {
+        const key = str(r[0]).trim();
+        if (key) out[key] = str(r[1]).trim();
+      });
+      return out;
+    },
+  };
+
+  const budgets = {
+    // "Branch Budgets" tab, row 2 onwards: A=branch, B=month (YYYY-MM, empty =
+    // every month), C=amount. A missing tab means "no budgets".
+    async list(budgetSheetId) {
+      let rows;
+      try {
+        const resp = await sheets.spreadsheets.values.get({
+          spreadsheetId: budgetSheetId,
+          range: 'Branch Budgets!A2:C',
+        });
+        rows = resp.data.values || [];
+      } catch (err) {
+        logDebug('Branch Budgets sheet read failed (maybe missing)', {
+          error: err.message,
+        });
+        return [];
+      }
+      return rows
+        .filter((r) => str(r[0]).trim() && str(r[2]).trim() !== '')
+        .map((r) => ({
+          branch: str(r[0]).trim(),
+          month: str(r[1]).trim(),
+          amount: parseFloat(r[2]) || 0,
+        }));
+    },
+  };
+
+  const webhooks = {
+    // "Webhooks" tab, row 2 onwards: A=url, B=secret, C=events (comma-separated,
+    // empty = every event). A missing tab means "no webhooks".
+    async list(budgetSheetId) {
+      let rows;
+      try {
+        const resp = await sheets.spreadsheets.values.get({
+          spreadsheetId: budgetSheetId,
+          range: 'Webhooks!A2:C',
+        });
+        rows = resp.data.values || [];
+      } catch (err) {
+        logDebug('Webhooks sheet read failed (maybe missing)', {
+          error: err.message,
+        });
+        return [];
+      }
+      return rows
+        .filter((r) => str(r[0]).trim())
+        .map((r) => ({
+          url: str(r[0]).trim(),
+          secret: str(r[1]).trim(),
+          events: str(r[2])
+            .split(',')
+            .map((e) => e.trim())
+            .filter((e) => e),
+        }));
+    },
+  };
+
+  const returns = {
+    // id = sheet row number. A missing tab reads as empty.
+    async list(budgetSheetId) {
+      let rows;
+      try {
+        const resp = await sheets.spreadsheets.values.get({
+          spreadsheetId: budgetSheetId,
+          range: `Returns!A2:${LAST_RETURN_COLUMN}`,
+        });
+        rows = resp.data.values || [];
+      } catch (err) {
+        logDebug('Returns sheet read failed (maybe missing)', {
+          error: err.message,
+        });
+        return [];
+      }
+      return rows
+        .map((r, i) => {
+          const entry = { id: i + 2 };
+          RETURN_COLUMNS.forEach((key, c) => {
+            entry[key] = str(r[c]).trim();
+          });
+          entry.quantity = parseInt(entry.quantity) || 0;
+          entry.status = entry.status.toLowerCase() || 'pending';
+          return entry;
+        })
+        .filter((e) => e.serial && e.productCode);
+    },
+
+    async append(budgetSheetId, entries) {
+      if (!Array.isArray(entries) || entries.length === 0) return;
+      const values = entries.map((e) =>
+        RETURN_COLUMNS.map((key) => toCell(e[key]))
+      );
+      // RAW: reasons are free text typed by branch users
+      await withTabLock(budgetSheetId, 'Returns', () =>
+        appendRowsFromA(budgetSheetId, 'Returns', values, 1, 'RAW')
+      );
+    },
+
+    // Sign-off: writes status, decidedBy, decidedAt, decisionNote (H:K) of one row
+    async decide(budgetSheetId, id, { status, decidedBy, decidedAt, decisionNote }) {
+      await withTabLock(budgetSheetId, 'Returns', () =>
+        sheets.spreadsheets.values.update({
+          spreadsheetId: budgetSheetId,
+          range: `Returns!H${id}:${LAST_RETURN_COLUMN}${id}`,
+          valueInputOption: 'RAW',
+          resource: {
+            values: [[status, decidedBy, decidedAt, toCell(decisionNote)]],
+          },
+        })
+      );
+    },
+  };
+
+  const delegations = {
+    // id = sheet row number. A missing tab reads as empty.
+    async list(budgetSheetId) {
+      let rows;
+      try {
+        const resp = await sheets.spreadsheets.values.get({
+          spreadsheetId: budgetSheetId,
+          range: `Delegations!A2:${LAST_DELEGATION_COLUMN}`,
+        });
+        rows = resp.data.values || [];
+      } catch (err) {
+        logDebug('Delegations sheet read failed (maybe missing)', {
+          error: err.message,
+        });
+        return [];
+      }
+      return rows
+        .map((r, i) => {
+          const entry = { id: i + 2 };
+          DELEGATION_COLUMNS.forEach((key, c) => {
+            entry[key] = str(r[c]).trim();
+          });
+          return entry;
+        })
+        .filter((e) => e.from && e.to);
+    },
+
+    async append(budgetSheetId, entries) {
+      if (!Array.isArray(entries) || entries.length === 0) return;
+      const values = entries.map((e) =>
+        DELEGATION_COLUMNS.map((key) => toCell(e[key]))
+      );
+      await withTabLock(budgetSheetId, 'Delegations', () =>
+        appendRowsFromA(budgetSheetId, 'Delegations', values, 1)
+      );
+    },
+
+    // Writes revokedBy, revokedAt (F:G) of one row
+    async revoke(budgetSheetId, id, { revokedBy, revokedAt }) {
+      await withTabLock(budgetSheetId, 'Delegations', () =>
+        sheets.spreadsheets.values.update({
+          spreadsheetId: budgetSheetId,
+          range: `Delegations!F${id}:${LAST_DELEGATION_COLUMN}${id}`,
+          valueInputOption: 'RAW',
+          resource: { values: [[revokedBy, revokedAt]] },
+        })
+      );
+    },
+  };
+
+  // Generic append-only log over one tab of the client spreadsheet (see LOG_TABS).
+  // A missing tab reads as empty; appends to it fail until the tab is created.
+  function logTab({ sheetName, columns }) {
+    return {
+      async list(budgetSheetId) {
+        let rows;
+        try {
+          const resp = await sheets.spreadsheets.values.get({
+            spreadsheetId: budgetSheetId,
+            range: `${sheetName}!A2:${columnLetter(columns.length - 1)}`,
+          });
+          rows = resp.data.values || [];
+        } catch (err) {
+          logDebug(`${sheetName} sheet read failed (maybe missing)`, {
+            error: err.message,
+          });
+          return [];
+        }
+        // The id is the sheet row, so it is taken before blank rows are dropped
+        return rows
+          .map((r, i) => {
+            const entry = { id: i + 2 };
+            columns.forEach((key, c) => {
+              entry[key] = str(r[c]);
+            });
+            return entry;
+          })
+          .filter((entry) => columns.some((key) => entry[key].trim()));
+      },
+
+      async append(budgetSheetId, entries) {
+        if (!Array.isArray(entries) || entries.length === 0) return;
+        const values = entries.map((e) => columns.map((key) => toCell(e[key])));
+        await withTabLock(budgetSheetId, sheetName, () =>
+          appendRowsFromA(budgetSheetId, sheetName, values, 1, 'RAW')
+        );
+      },
+    };
+  }
+
+  const approvals = logTab(LOG_TABS.approvals);
+  const notes = logTab(LOG_TABS.notes);
+  const audit = logTab(LOG_TABS.audit);
+  const fulfilment = logTab(LOG_TABS.fulfilment);
+  const deadLetters = logTab(LOG_TABS.deadLetters);
+
+  return {
+    name: 'sheets',
+    users,
+    catalog,
+    orders,
+    serials,
+    settings,
+    budgets,
+    limits,
+    paperQuotas,
+    returns,
+    delegations,
+    approvals,
+    notes,
+    audit,
+    fulfilment,
+    webhooks,
+    deadLetters,
+  };
+}
+
+module.exports = { createSheetsStorage, ORDER_TABS, LOG_TABS };
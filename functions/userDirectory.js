@@ -0,0 +1,116 @@
+// === Cached user directory ===
+// In-memory index username -> [user records] built from storage.users.list()
+// (a single batchGet over all client tabs on Sheets). Entries expire after
+// ttlMs; refresh() forces a reload. Concurrent callers share one load.
+const { logDebug } = require('./logger');
+
+function createUserDirectory({ loadUsers, ttlMs, minReloadMs = 30 * 1000 }) {
+  let index = new Map();
+  let loadedAt = 0;
+  let loading = null;
+
+  async function reload() {
+    if (!loading) {
+      loading = (async () => {
+        const users = await loadUsers();
+        const next = new Map();
+        users.forEach((u) => {
+          if (!u.username) return;
+          if (!next.has(u.username)) next.set(u.username, []);
+          next.get(u.username).push(u);
+        });
+        index = next;
+        loadedAt = Date.now();
+        logDebug('User directory loaded', {
+          users: users.length,
+          usernames: next.size,
+        });
+      })().finally(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  }
+
+  async function ensureFresh() {
+    if (!loadedAt || Date.now() - loadedAt > ttlMs) await reload();
+  }
+
+  return {
+    // Every record with this username (the same username may exist in several client tabs).
+    async candidates(username, { reloadOnMiss = false } = {}) {
+      await ensureFresh();
+      if (
+        !index.has(username) &&
+        reloadOnMiss &&
+        Date.now() - loadedAt > minReloadMs
+      ) {
+        await reload();
+      }
+      return index.get(username) || [];
+    },
+
+    // First record of this username that is not disabled
+    async find(username) {
+      return (
+        (await this.candidates(username)).find((u) => !u.disabled) || null
+      );
+    },
+
+    // Distinct branch names of one client tab, in sheet order
+    async branchesOfTab(tab) {
+      await ensureFresh();
+      const rows = [];
+      index.forEach((records) => {
+        records.forEach((u) => {
+          if (u.tab === tab && u.branch) rows.push(u);
+        });
+      });
+      rows.sort((a, b) => a.rowNumber - b.rowNumber);
+      return Array.from(new Set(rows.map((u) => u.branch)));
+    },
+
+    // [{ tab, budgetSheetId }] of every client tab that has users
+    async clientTabs() {
+      await ensureFresh();
+      const tabs = new Map();
+      index.forEach((records) => {
+        records.forEach((u) => {
+          if (!tabs.has(u.tab)) {
+            tabs.set(u.tab, { tab: u.tab, budgetSheetId: u.budgetSheetId });
+          }
+        });
+      });
+      return Array.from(tabs.values());
+    },
+
+    // Every user record of one client tab, in sheet order (disabled users
+    // only with includeDisabled)
+    async usersOfTab(tab, { includeDisabled = false } = {}) {
+      await ensureFresh();
+      const rows = [];
+      index.forEach((records) => {
+        records.forEach((u) => {
+          if (u.tab === tab && (includeDisabled || !u.disabled)) rows.push(u);
+        });
+      });
+      return rows.sort((a, b) => a.rowNumber - b.rowNumber);
+    },
+
+    // Keeps the cached record in line after a write through storage.users.update
+    update(user, patch) {
+      (index.get(user.username) || []).forEach((u) => {
+        if (u.tab === user.tab && u.rowNumber === user.rowNumber) {
+          Object.assign(u, patch);
+        }
+      });
+    },
+
+    async refresh() {
+      await reload();
+      return { usernames: index.size, loadedAt: new Date(loadedAt).toISOString() };
+    },
+  };
+}
+
+module.exports = { createUserDirectory };
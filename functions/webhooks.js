@@ -0,0 +1,91 @@
+// === Outbound webhooks ===
+// POSTs JSON events to the URLs of a client's "Webhooks" tab. Every request
+// carries
+//   X-Vndro-Event:     event type, e.g. order.approved
+//   X-Vndro-Delivery:  event id (the same for every retry of the event)
+//   X-Vndro-Timestamp: unix seconds when the request was signed
+//   X-Vndro-Signature: "sha256=" + hex HMAC-SHA256(secret, "<timestamp>.<body>")
+// Network errors, timeouts, 429 and 5xx are retried with exponential backoff
+// (baseDelayMs, 2x, 4x, ...); other statuses and the last failed attempt go to
+// onDeadLetter. Retries live in this process only: a restart drops them.
+const crypto = require('crypto');
+const { logDebug } = require('./logger');
+
+function signPayload(secret, timestamp, body) {
+  return (
+    'sha256=' +
+    crypto
+      .createHmac('sha256', secret || '')
+      .update(`${timestamp}.${body}`)
+      .digest('hex')
+  );
+}
+
+const isRetryable = (status) => !status || status === 429 || status >= 500;
+
+function createWebhookDispatcher({
+  maxAttempts = 5,
+  baseDelayMs = 2000,
+  timeoutMs = 10000,
+  onDeadLetter = async () => {},
+}) {
+  // One POST; resolves { ok, status, error }
+  async function post(endpoint, event, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const resp = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Vndro-Event': event.type,
+          'X-Vndro-Delivery': event.id,
+          'X-Vndro-Timestamp': String(timestamp),
+          'X-Vndro-Signature': signPayload(endpoint.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (resp.ok) return { ok: true, status: resp.status };
+      return { ok: false, status: resp.status, error: `HTTP ${resp.status}` };
+    } catch (err) {
+      return { ok: false, status: 0, error: err.message };
+    }
+  }
+
+  // Delivers in the background; resolves once delivered or dead-lettered.
+  async function deliver(endpoint, event) {
+    const body = JSON.stringify(event);
+    for (let attempt = 1; ; attempt++) {
+      const result = await post(endpoint, event, body);
+      if (result.ok) {
+        logDebug('Webhook delivered', {
+          url: endpoint.url,
+          event: event.type,
+          id: event.id,
+          attempt,
+        });
+        return true;
+      }
+      if (attempt >= maxAttempts || !isRetryable(result.status)) {
+        logDebug('Webhook failed, moved to dead letters', {
+          url: endpoint.url,
+          event: event.type,
+          id: event.id,
+          attempts: attempt,
+          error: result.error,
+        });
+        await onDeadLetter(endpoint, event, {
+          attempts: attempt,
+          error: result.error,
+        });
+        return false;
+      }
+      const delay = baseDelayMs * 2 ** (attempt - 1);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  return { deliver };
+}
+
+module.exports = { createWebhookDispatcher, signPayload };
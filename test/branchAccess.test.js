@@ -0,0 +1,49 @@
+// === Users without a branch act for no branch outside an approver scope ===
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./server');
+
+let api;
+let warehouse;
+
+before(async () => {
+  api = startServer();
+  const admin = await api.login('admin');
+  const { data } = await api.post(
+    '/updateUser',
+    { username: 'warehouse', branch: '' },
+    admin
+  );
+  assert.strictEqual(data.success, true, data.message);
+  warehouse = await api.login('warehouse');
+});
+
+after(() => api.stop());
+
+test('a user without a branch cannot order for a branch', async () => {
+  const { res } = await api.post(
+    '/submitOrder',
+    {
+      branchName: 'Branch 1',
+      orderItems: [{ productCode: 'P003', quantity: 1 }],
+    },
+    warehouse
+  );
+  assert.strictEqual(res.status, 403);
+});
+
+test('nor read its previous orders', async () => {
+  const res = await api.get('/previousOrders?branchName=Branch%201', warehouse);
+  assert.strictEqual(res.status, 403);
+});
+
+test('an approver still acts for the branches of their scope', async () => {
+  const regional = await api.login('regional');
+  const own = await api.get('/previousOrders?branchName=Branch%201', regional);
+  assert.strictEqual(own.status, 200);
+  const other = await api.get(
+    '/previousOrders?branchName=Branch%202',
+    regional
+  );
+  assert.strictEqual(other.status, 403);
+});
@@ -0,0 +1,65 @@
+// === Delegated approval rights stop at the delegate's own orders ===
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./server');
+
+let api;
+let serial;
+let sessions;
+
+before(async () => {
+  api = startServer();
+  const director = await api.login('director');
+  const today = new Date().toISOString().slice(0, 10);
+  for (const to of ['branch1', 'branch2']) {
+    const { data } = await api.post(
+      '/delegations',
+      { to, startDate: today, endDate: today },
+      director
+    );
+    assert.strictEqual(data.success, true, data.message);
+  }
+  sessions = {
+    branch1: await api.login('branch1'),
+    branch2: await api.login('branch2'),
+    manager: await api.login('manager'),
+  };
+
+  // 4 x 310 = 1240: L2 then L3
+  const { data } = await api.post(
+    '/submitOrder',
+    {
+      branchName: 'Branch 2',
+      orderItems: [{ productCode: 'P004', quantity: 4 }],
+    },
+    sessions.branch2
+  );
+  serial = data.orderSerial;
+  const l2 = await api.post(
+    '/approveOrder',
+    { orderId: serial },
+    sessions.manager
+  );
+  assert.strictEqual(l2.data.approvalStep, 'L3');
+});
+
+after(() => api.stop());
+
+test('a delegate cannot approve an order of their own branch', async () => {
+  const { res } = await api.post(
+    '/approveOrder',
+    { orderId: serial },
+    sessions.branch2
+  );
+  assert.strictEqual(res.status, 403);
+});
+
+test('a delegate from another branch can', async () => {
+  const { res, data } = await api.post(
+    '/approveOrder',
+    { orderId: serial },
+    sessions.branch1
+  );
+  assert.strictEqual(res.status, 200, data.message);
+  assert.strictEqual(data.approvalStep, null);
+});
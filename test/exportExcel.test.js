@@ -0,0 +1,48 @@
+// === Excel exports of waiting orders ===
+// Both exports fill Returned / Net columns, so they must work for orders that
+// have no approved lines yet.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { startServer } = require('./server');
+
+let api;
+let serial;
+let manager;
+
+async function sheetSerials(res) {
+  assert.strictEqual(res.status, 200);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(Buffer.from(await res.arrayBuffer()));
+  const values = [];
+  workbook.worksheets[0].eachRow((row) => values.push(...row.values));
+  return values;
+}
+
+before(async () => {
+  api = startServer();
+  const branch = await api.login('branch2');
+  const { data } = await api.post(
+    '/submitOrder',
+    {
+      branchName: 'Branch 2',
+      orderItems: [{ productCode: 'P003', quantity: 1 }],
+    },
+    branch
+  );
+  assert.strictEqual(data.status, 'waiting', data.message);
+  serial = data.orderSerial;
+  manager = await api.login('manager');
+});
+
+after(() => api.stop());
+
+test('exportOrdersExcel includes a waiting order', async () => {
+  const res = await api.get(`/exportOrdersExcel?serials=${serial}`, manager);
+  assert.ok((await sheetSerials(res)).includes(serial));
+});
+
+test('exportOrderExcel exports a waiting order', async () => {
+  const res = await api.get(`/exportOrderExcel?serial=${serial}`, manager);
+  assert.ok((await sheetSerials(res)).includes(serial));
+});
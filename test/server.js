@@ -0,0 +1,90 @@
+// === Test server on the file backend ===
+// startServer() runs functions/index.js on a copy of local-data.sample.json in
+// a temp dir and resolves helpers to call its API; stop() ends it. seed(data)
+// may change that copy before the server reads it.
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..');
+const SAMPLE = path.join(ROOT, 'functions/storage/local-data.sample.json');
+
+function startServer({ seed } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-system-'));
+  const dataFile = path.join(dir, 'local-data.json');
+  if (seed) {
+    const data = JSON.parse(fs.readFileSync(SAMPLE, 'utf8'));
+    seed(data);
+    fs.writeFileSync(dataFile, JSON.stringify(data));
+  }
+  const port = 40000 + Math.floor(Math.random() * 10000);
+  const base = `http://127.0.0.1:${port}/api`;
+  const server = spawn(
+    process.execPath,
+    [path.join(ROOT, 'functions', 'index.js')],
+    {
+      cwd: dir,
+      env: {
+        ...process.env,
+        STORAGE_BACKEND: 'file',
+        LOCAL_DATA_FILE: dataFile,
+        PORT: String(port),
+        APPROVAL_SLA_CHECK_MINUTES: '0',
+        SMTP_HOST: '',
+      },
+      stdio: 'ignore',
+    }
+  );
+
+  async function request(method, url, body, cookie) {
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(cookie ? { Cookie: cookie } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return res;
+  }
+
+  async function post(url, body, cookie) {
+    const res = await request('POST', url, body, cookie);
+    return { res, data: await res.json() };
+  }
+
+  function get(url, cookie) {
+    return request('GET', url, null, cookie);
+  }
+
+  // Session cookie of the user; retries while the server is starting
+  async function login(username, password = username) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      try {
+        const { res, data } = await post('/validateLogin', {
+          username,
+          password,
+        });
+        if (data.success) return res.headers.get('set-cookie').split(';')[0];
+      } catch (err) {
+        // server still starting
+      }
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+    throw new Error('Server did not start');
+  }
+
+  function readData() {
+    return JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+  }
+
+  function stop() {
+    server.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { post, get, login, readData, stop };
+}
+
+module.exports = { startServer };
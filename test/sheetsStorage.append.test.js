@@ -0,0 +1,45 @@
+// === Concurrent order appends on the Sheets backend ===
+// Each append finds the last row of column A and writes after it; without the
+// per-tab lock parallel appends pick the same rows and overwrite each other.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createSheetsStorage } = require('../functions/storage/sheetsStorage');
+const { createSheetsStub } = require('./sheetsStub');
+
+const SHEET_ID = 'client-sheet';
+const ORDERS = 20;
+
+test('parallel orders.append calls keep every line', async () => {
+  const stub = createSheetsStub();
+  stub.rowsOf(SHEET_ID, 'Waiting for Approval').push(['Date', 'Branch']);
+  const storage = createSheetsStorage(stub);
+
+  const serials = Array.from({ length: ORDERS }, (_, i) => `AA${i + 1}`);
+  await Promise.all(
+    serials.map((serial, i) =>
+      storage.orders.append(
+        SHEET_ID,
+        'waiting',
+        ['P001', 'P002'].map((productCode) => ({
+          date: '2026-10-19 10:00:00',
+          branch: `Branch ${(i % 3) + 1}`,
+          username: 'user',
+          productCode,
+          quantity: 1,
+          serial,
+          approvalStep: 'L2',
+        }))
+      )
+    )
+  );
+
+  const lines = await storage.orders.list(SHEET_ID, 'waiting');
+  assert.strictEqual(lines.length, ORDERS * 2);
+  serials.forEach((serial) => {
+    const codes = lines
+      .filter((l) => l.serial === serial)
+      .map((l) => l.productCode)
+      .sort();
+    assert.deepStrictEqual(codes, ['P001', 'P002'], `lines of ${serial}`);
+  });
+});
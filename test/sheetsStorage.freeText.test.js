@@ -0,0 +1,97 @@
+// === Free text never reaches the Sheets backend as a formula ===
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createSheetsStorage } = require('../functions/storage/sheetsStorage');
+const { createSheetsStub } = require('./sheetsStub');
+
+const SHEET_ID = 'client-sheet';
+const FORMULA = '=IMPORTXML("https://example.com", "//a")';
+
+function setup() {
+  const stub = createSheetsStub();
+  ['Waiting for Approval', 'Order Notes', 'Audit Log', 'Returns'].forEach(
+    (sheet) => stub.rowsOf(SHEET_ID, sheet).push(['Date', 'Serial'])
+  );
+  return { stub, storage: createSheetsStorage(stub) };
+}
+
+const optionsOf = (stub, sheet) =>
+  stub.writes
+    .filter((w) => w.range.startsWith(`${sheet}!`))
+    .map((w) => w.valueInputOption);
+
+test('order notes and audit details are written RAW', async () => {
+  const { stub, storage } = setup();
+  const entry = { date: '2026-10-19 10:00:00', serial: 'AA1', username: 'u' };
+  await storage.notes.append(SHEET_ID, [
+    { ...entry, action: 'cancel', note: FORMULA },
+  ]);
+  await storage.audit.append(SHEET_ID, [
+    { ...entry, action: 'cancel', details: FORMULA },
+  ]);
+
+  assert.deepStrictEqual(optionsOf(stub, 'Order Notes'), ['RAW']);
+  assert.deepStrictEqual(optionsOf(stub, 'Audit Log'), ['RAW']);
+  const [note] = await storage.notes.list(SHEET_ID);
+  assert.strictEqual(note.note, FORMULA);
+});
+
+test('order line notes stay literal text', async () => {
+  const { stub, storage } = setup();
+  const line = {
+    date: '2026-10-19 10:00:00',
+    branch: 'Branch 1',
+    productCode: 'P001',
+    quantity: 1,
+    serial: 'AA1',
+    note: FORMULA,
+  };
+  await storage.orders.append(SHEET_ID, 'waiting', [line]);
+  const row = stub.rowsOf(SHEET_ID, 'Waiting for Approval')[1];
+  assert.strictEqual(row[9], `'${FORMULA}`);
+
+  const [stored] = await storage.orders.list(SHEET_ID, 'waiting');
+  await storage.orders.update(SHEET_ID, 'waiting', [
+    { lineId: stored.lineId, note: FORMULA },
+  ]);
+  assert.ok(
+    optionsOf(stub, 'Waiting for Approval')
+      .slice(1)
+      .every((o) => o === 'RAW')
+  );
+});
+
+test('return reasons and decision notes are written RAW', async () => {
+  const { stub, storage } = setup();
+  await storage.returns.append(SHEET_ID, [
+    {
+      date: '2026-10-19 10:00:00',
+      serial: 'AA1',
+      branch: 'Branch 1',
+      productCode: 'P001',
+      quantity: 1,
+      reason: FORMULA,
+      username: 'u',
+      status: 'pending',
+    },
+  ]);
+  const [entry] = await storage.returns.list(SHEET_ID);
+  await storage.returns.decide(SHEET_ID, entry.id, {
+    status: 'rejected',
+    decidedBy: 'manager',
+    decidedAt: '2026-10-19 11:00:00',
+    decisionNote: FORMULA,
+  });
+
+  assert.deepStrictEqual(optionsOf(stub, 'Returns'), ['RAW', 'RAW']);
+  const [decided] = await storage.returns.list(SHEET_ID);
+  assert.strictEqual(decided.reason, FORMULA);
+  assert.strictEqual(decided.decisionNote, FORMULA);
+});
+
+test('the last serial is written RAW', async () => {
+  const { stub, storage } = setup();
+  await storage.serials.set(SHEET_ID, '=AA1');
+  assert.deepStrictEqual(optionsOf(stub, 'Serial Numbers'), ['RAW']);
+  assert.strictEqual(await storage.serials.get(SHEET_ID), '=AA1');
+});
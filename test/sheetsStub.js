@@ -0,0 +1,91 @@
+// === In-memory stand-in for the Sheets API client ===
+// Implements the spreadsheets.values calls the storage layer makes, on A1
+// ranges of one tab. Every call yields for a random few milliseconds first,
+// so concurrent callers interleave the way they do against Google. writes
+// records { range, valueInputOption } of every update.
+function columnIndex(letters) {
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// "Tab", "Tab!A:A", "Tab!A2:K", "Tab!A5:N7", "Tab!B2"
+function parseRange(range) {
+  const m = /^([^!]+)(?:!([A-Z]+)(\d*)(?::([A-Z]+)(\d*))?)?$/.exec(range);
+  if (!m) throw new Error(`Unsupported range ${range}`);
+  const [, sheet, c1, r1, c2, r2] = m;
+  const single = c1 && !c2;
+  return {
+    sheet,
+    col1: c1 ? columnIndex(c1) : 0,
+    col2: c2 ? columnIndex(c2) : single ? columnIndex(c1) : Infinity,
+    row1: r1 ? Number(r1) - 1 : 0,
+    row2: r2 ? Number(r2) - 1 : single && r1 ? Number(r1) - 1 : Infinity,
+  };
+}
+
+function createSheetsStub() {
+  const books = new Map(); // spreadsheetId -> Map(sheet -> rows)
+  const writes = [];
+
+  function rowsOf(spreadsheetId, sheet) {
+    if (!books.has(spreadsheetId)) books.set(spreadsheetId, new Map());
+    const book = books.get(spreadsheetId);
+    if (!book.has(sheet)) book.set(sheet, []);
+    return book.get(sheet);
+  }
+
+  const pause = () =>
+    new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+
+  function read(spreadsheetId, range) {
+    const r = parseRange(range);
+    const rows = rowsOf(spreadsheetId, r.sheet);
+    const out = rows
+      .slice(r.row1, r.row2 === Infinity ? undefined : r.row2 + 1)
+      .map((row) =>
+        (row || []).slice(r.col1, r.col2 === Infinity ? undefined : r.col2 + 1)
+      );
+    while (out.length && !out[out.length - 1].some((v) => v !== '')) out.pop();
+    return out;
+  }
+
+  function write(spreadsheetId, range, values) {
+    const r = parseRange(range);
+    const rows = rowsOf(spreadsheetId, r.sheet);
+    values.forEach((vals, i) => {
+      const row = (rows[r.row1 + i] = rows[r.row1 + i] || []);
+      vals.forEach((v, c) => {
+        row[r.col1 + c] = v === null || v === undefined ? '' : String(v);
+      });
+    });
+  }
+
+  const values = {
+    async get({ spreadsheetId, range }) {
+      await pause();
+      return { data: { values: read(spreadsheetId, range) } };
+    },
+    async update({ spreadsheetId, range, valueInputOption, resource }) {
+      await pause();
+      writes.push({ range, valueInputOption });
+      write(spreadsheetId, range, resource.values);
+      return { data: {} };
+    },
+    async batchUpdate({ spreadsheetId, resource }) {
+      await pause();
+      resource.data.forEach((d) => {
+        writes.push({
+          range: d.range,
+          valueInputOption: resource.valueInputOption,
+        });
+        write(spreadsheetId, d.range, d.values);
+      });
+      return { data: {} };
+    },
+  };
+
+  return { spreadsheets: { values }, rowsOf, writes };
+}
+
+module.exports = { createSheetsStub };
@@ -0,0 +1,58 @@
+// === Parallel submitOrder against the file backend ===
+// Fires concurrent submissions from two branches (different budget locks, so
+// they reach serial allocation and the order tab together) and checks every
+// order got its own serial and kept its lines. The Sheets append path itself
+// is covered by sheetsStorage.append.test.js.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./server');
+
+const ORDERS = 20;
+
+let api;
+
+before(() => {
+  api = startServer();
+});
+
+after(() => api.stop());
+
+test('parallel submitOrders keep unique serials and all lines', async () => {
+  const branches = [
+    { cookie: await api.login('branch1'), branchName: 'Branch 1' },
+    { cookie: await api.login('branch2'), branchName: 'Branch 2' },
+  ];
+  const items = [
+    { productCode: 'P003', quantity: 1 },
+    { productCode: 'P002', quantity: 1 },
+  ];
+
+  const results = await Promise.all(
+    Array.from({ length: ORDERS }, (_, i) => {
+      const { cookie, branchName } = branches[i % branches.length];
+      return api.post(
+        '/submitOrder',
+        { branchName, orderItems: items },
+        cookie
+      );
+    })
+  );
+
+  results.forEach(({ res, data }) => {
+    assert.strictEqual(res.status, 200, data.message);
+    assert.strictEqual(data.success, true);
+  });
+  const serials = results.map(({ data }) => data.orderSerial);
+  assert.strictEqual(new Set(serials).size, ORDERS, 'serials must be unique');
+
+  const { orders } = api.readData().spreadsheets['demo-client'];
+  const lines = [...orders.waiting, ...orders.approved];
+  assert.strictEqual(lines.length, ORDERS * items.length);
+  serials.forEach((serial) => {
+    const codes = lines
+      .filter((l) => l.serial === serial)
+      .map((l) => l.productCode)
+      .sort();
+    assert.deepStrictEqual(codes, ['P002', 'P003'], `lines of ${serial}`);
+  });
+});
@@ -0,0 +1,81 @@
+// === Editing a waiting order re-picks its approval chain ===
+// Sample ApprovalRoutes: "0:L2; 1000:L2,L3".
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./server');
+
+let api;
+let branch;
+let manager;
+
+before(async () => {
+  api = startServer();
+  branch = await api.login('branch2');
+  manager = await api.login('manager');
+});
+
+after(() => api.stop());
+
+async function submit(orderItems) {
+  const { data } = await api.post(
+    '/submitOrder',
+    { branchName: 'Branch 2', orderItems },
+    branch
+  );
+  assert.strictEqual(data.status, 'waiting', data.message);
+  return data.orderSerial;
+}
+
+function waitingLines(serial) {
+  const { orders } = api.readData().spreadsheets['demo-client'];
+  return orders.waiting.filter((l) => l.serial === serial);
+}
+
+test('raising the total past a band adds the L3 step', async () => {
+  const serial = await submit([{ productCode: 'P003', quantity: 1 }]);
+
+  const { data } = await api.post(
+    '/updateWaitingOrder',
+    {
+      orderId: serial,
+      items: [
+        { productCode: 'P003', quantity: 1 },
+        { productCode: 'P004', quantity: 8 },
+      ],
+    },
+    branch
+  );
+  assert.strictEqual(data.success, true, data.message);
+  assert.strictEqual(data.approvalStep, 'L2');
+  waitingLines(serial).forEach((l) => {
+    assert.strictEqual(l.approvalChain, 'L2,L3');
+    assert.strictEqual(l.approvalStep, 'L2');
+  });
+
+  const { data: approved } = await api.post(
+    '/approveOrder',
+    { orderId: serial },
+    manager
+  );
+  assert.strictEqual(approved.approvalStep, 'L3');
+  assert.strictEqual(waitingLines(serial).length, 2);
+});
+
+test('lowering the total drops the L3 step', async () => {
+  const serial = await submit([{ productCode: 'P004', quantity: 4 }]);
+  assert.strictEqual(waitingLines(serial)[0].approvalChain, 'L2,L3');
+
+  const { data } = await api.post(
+    '/updateWaitingOrder',
+    { orderId: serial, items: [{ productCode: 'P004', quantity: 1 }] },
+    branch
+  );
+  assert.strictEqual(data.success, true, data.message);
+  waitingLines(serial).forEach((l) => {
+    assert.strictEqual(l.approvalChain, 'L2');
+    assert.strictEqual(l.approvalStep, 'L2');
+  });
+
+  await api.post('/approveOrder', { orderId: serial }, manager);
+  assert.strictEqual(waitingLines(serial).length, 0);
+});
@@ -0,0 +1,35 @@
+// === Admin user API: malformed fields are refused, not a server error ===
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./server');
+
+let api;
+let admin;
+
+before(async () => {
+  api = startServer();
+  admin = await api.login('admin');
+});
+
+after(() => api.stop());
+
+for (const field of ['branch', 'level', 'email', 'allowedBranches']) {
+  test(`updateUser with ${field}: null is a 400`, async () => {
+    const { res, data } = await api.post(
+      '/updateUser',
+      { username: 'branch1', [field]: null },
+      admin
+    );
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(data.success, false);
+  });
+}
+
+test('users with a non-string password is a 400', async () => {
+  const { res } = await api.post(
+    '/users',
+    { username: 'newuser', level: 'L2', password: { length: 20 } },
+    admin
+  );
+  assert.strictEqual(res.status, 400);
+});
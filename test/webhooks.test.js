@@ -0,0 +1,80 @@
+// === Webhook events of a two-step approval ===
+// Sample ApprovalRoutes: "0:L2; 1000:L2,L3".
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { startServer } = require('./server');
+
+let api;
+let receiver;
+const received = [];
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  api = startServer({
+    seed: (data) => {
+      data.spreadsheets['demo-client'].webhooks = [{ url, secret: 's' }];
+    },
+  });
+});
+
+after(() => {
+  api.stop();
+  receiver.close();
+});
+
+// Types of the events received for serial, once count of them have arrived
+async function eventTypes(serial, count) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const types = received
+      .filter((e) => e.order.serial === serial)
+      .map((e) => e.type);
+    if (types.length >= count) return types;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Expected ${count} events for ${serial}`);
+}
+
+test('order.approved waits for the last step', async () => {
+  const branch = await api.login('branch2');
+  const { data } = await api.post(
+    '/submitOrder',
+    {
+      branchName: 'Branch 2',
+      orderItems: [{ productCode: 'P004', quantity: 4 }],
+    },
+    branch
+  );
+  const serial = data.orderSerial;
+  assert.ok(serial, data.message);
+
+  await api.post(
+    '/approveOrder',
+    { orderId: serial },
+    await api.login('manager')
+  );
+  assert.deepStrictEqual(await eventTypes(serial, 2), [
+    'order.submitted',
+    'order.step_approved',
+  ]);
+
+  await api.post(
+    '/approveOrder',
+    { orderId: serial },
+    await api.login('director')
+  );
+  assert.deepStrictEqual(await eventTypes(serial, 3), [
+    'order.submitted',
+    'order.step_approved',
+    'order.approved',
+  ]);
+});